@@ -0,0 +1,111 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Invocation Authentication
+ * ========================================
+ *
+ * Every invocation must prove where it comes from:
+ *
+ * - Appwrite event / schedule triggers: `x-appwrite-trigger` is set by
+ *   Appwrite on every execution (it overrides client-supplied values)
+ * - Direct HTTP calls, either
+ *     HMAC:   x-trovatask-timestamp: <unix seconds>
+ *             x-trovatask-signature: sha256=<hex HMAC-SHA256(NOTIFY_HMAC_SECRET, payload)>
+ *             payload = `${timestamp}.${METHOD}.${path}[?query].${bodyRaw}`
+ *     secret: x-trovatask-secret: <NOTIFY_SHARED_SECRET>
+ *
+ * Failures return { ok: false, reason } and map to UNAUTHENTICATED (HTTP 401).
+ * Chat membership (NOT_CHAT_MEMBER, HTTP 403) is checked later, in recipients.js.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { getLogger } = require('./logger');
+
+const TRUSTED_TRIGGERS = ['event', 'schedule'];
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * The exact string a caller signs for `req`
+ */
+function getSigningPayload(req, timestamp) {
+  const target = req.queryString ? `${req.path}?${req.queryString}` : req.path;
+  return `${timestamp}.${String(req.method || 'POST').toUpperCase()}.${target || '/'}.${req.bodyRaw || ''}`;
+}
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function verifySignature(req, headers, now) {
+  const signature = String(headers[config.AUTH_SIGNATURE_HEADER]).replace(/^sha256=/, '');
+  const timestamp = Number(headers[config.AUTH_TIMESTAMP_HEADER]);
+
+  if (!config.AUTH_HMAC_SECRET) {
+    return { ok: false, reason: 'Signed requests are not enabled (NOTIFY_HMAC_SECRET not set)' };
+  }
+
+  if (!Number.isFinite(timestamp)) {
+    return { ok: false, reason: `Missing or invalid ${config.AUTH_TIMESTAMP_HEADER} header` };
+  }
+
+  if (Math.abs(now / 1000 - timestamp) > config.AUTH_SIGNATURE_TOLERANCE_SECONDS) {
+    return { ok: false, reason: 'Signature timestamp outside the allowed window' };
+  }
+
+  const expected = sign(config.AUTH_HMAC_SECRET, getSigningPayload(req, headers[config.AUTH_TIMESTAMP_HEADER]));
+
+  return safeEqual(signature, expected)
+    ? { ok: true, method: 'signature' }
+    : { ok: false, reason: 'Invalid request signature' };
+}
+
+/**
+ * Authenticate an invocation: { ok: true, method } or { ok: false, reason }
+ */
+function authenticate(req, now = Date.now()) {
+  const headers = req.headers || {};
+  const trigger = headers['x-appwrite-trigger'];
+
+  if (!config.AUTH_ENABLED) {
+    return { ok: true, method: 'disabled' };
+  }
+
+  if (TRUSTED_TRIGGERS.includes(trigger)) {
+    return { ok: true, method: trigger };
+  }
+
+  if (headers[config.AUTH_SIGNATURE_HEADER]) {
+    return verifySignature(req, headers, now);
+  }
+
+  if (headers[config.AUTH_SECRET_HEADER]) {
+    if (!config.AUTH_SHARED_SECRET) {
+      return { ok: false, reason: 'Shared secret authentication is not enabled (NOTIFY_SHARED_SECRET not set)' };
+    }
+
+    return safeEqual(headers[config.AUTH_SECRET_HEADER], config.AUTH_SHARED_SECRET)
+      ? { ok: true, method: 'secret' }
+      : { ok: false, reason: 'Invalid shared secret' };
+  }
+
+  return { ok: false, reason: 'Missing credentials: expected an Appwrite trigger, a request signature or a shared secret' };
+}
+
+if (config.AUTH_ENABLED && !config.AUTH_HMAC_SECRET && !config.AUTH_SHARED_SECRET) {
+  getLogger().warn('auth.no_secrets', { message: 'NOTIFY_HMAC_SECRET / NOTIFY_SHARED_SECRET not set - only Appwrite triggers are accepted' });
+}
+
+module.exports = {
+  authenticate,
+  getSigningPayload,
+  sign
+};
@@ -0,0 +1,139 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Unread Badge Counters
+ * ========================================
+ *
+ * One counter document per user, updated inside Firestore transactions so
+ * concurrent invocations for the same recipient never lose an increment:
+ *
+ *   unreadCounters/{uid} → { total, chats: { chatId: n }, updatedAt }
+ *
+ * The total is sent as the push badge. Reading a chat resets (or
+ * decrements) its counter through markChatRead().
+ */
+
+const config = require('./config');
+const { getLogger } = require('./logger');
+
+function counterRef(db, userId) {
+  return db.collection(config.BADGE_COLLECTION).doc(String(userId));
+}
+
+function readCounters(snapshot) {
+  const data = snapshot.exists ? snapshot.data() : {};
+  return {
+    total: Math.max(Number(data.total) || 0, 0),
+    chats: data.chats || {}
+  };
+}
+
+/**
+ * Current counters { total, chats } of a user (zero when none yet)
+ */
+async function getUnreadCounters(db, userId) {
+  return readCounters(await counterRef(db, userId).get());
+}
+
+/**
+ * Count one new unread message for `userId` (and `chatId`).
+ * Returns the new counters { total, chat }.
+ */
+async function incrementUnread(db, userId, chatId) {
+  const ref = counterRef(db, userId);
+
+  return db.runTransaction(async transaction => {
+    const { total, chats } = readCounters(await transaction.get(ref));
+    const key = String(chatId);
+    const chat = config.BADGE_PER_CHAT && chatId ? (Number(chats[key]) || 0) + 1 : null;
+
+    transaction.set(ref, {
+      total: total + 1,
+      chats: chat !== null ? { ...chats, [key]: chat } : chats,
+      updatedAt: new Date()
+    });
+
+    return { total: total + 1, chat };
+  });
+}
+
+/**
+ * Best-effort increment used during delivery: returns the new total,
+ * or null (no badge) when the counter could not be updated.
+ */
+async function trackUnread(db, userId, chatId) {
+  if (!config.BADGES_ENABLED) return null;
+
+  try {
+    const { total } = await incrementUnread(db, userId, chatId);
+    return total;
+  } catch (err) {
+    getLogger().error('badges.update_failed', { userId, err });
+    return null;
+  }
+}
+
+/**
+ * Best-effort read of the current total, for reminders that re-send the
+ * badge without counting a new message. Null when unavailable.
+ */
+async function peekUnread(db, userId) {
+  if (!config.BADGES_ENABLED) return null;
+
+  try {
+    const { total } = await getUnreadCounters(db, userId);
+    return total;
+  } catch (err) {
+    getLogger().error('badges.read_failed', { userId, err });
+    return null;
+  }
+}
+
+/**
+ * The user read a chat: reset its counter, or decrement it by `count`.
+ * Without `chatId` every counter is reset. Returns the new counters.
+ */
+async function markChatRead(db, userId, { chatId, count } = {}) {
+  const ref = counterRef(db, userId);
+
+  return db.runTransaction(async transaction => {
+    const { total, chats } = readCounters(await transaction.get(ref));
+
+    if (!chatId) {
+      transaction.set(ref, { total: 0, chats: {}, updatedAt: new Date() });
+      return { total: 0, chats: {} };
+    }
+
+    const key = String(chatId);
+    const current = Number(chats[key]) || 0;
+    const removed = count !== undefined && count !== null
+      ? Math.min(Math.max(Number(count) || 0, 0), current)
+      : current;
+
+    const remaining = { ...chats };
+    if (current - removed > 0) {
+      remaining[key] = current - removed;
+    } else {
+      delete remaining[key];
+    }
+
+    // Without per-chat counters, `count` is taken from the total directly
+    // (0 leaves it unchanged, no count clears it)
+    const hasCount = count !== undefined && count !== null && Number.isFinite(Number(count));
+    const newTotal = config.BADGE_PER_CHAT
+      ? Math.max(total - removed, 0)
+      : Math.max(total - (hasCount ? Math.max(Number(count), 0) : total), 0);
+
+    transaction.set(ref, { total: newTotal, chats: remaining, updatedAt: new Date() });
+
+    return { total: newTotal, chats: remaining };
+  });
+}
+
+module.exports = {
+  getUnreadCounters,
+  incrementUnread,
+  trackUnread,
+  peekUnread,
+  markChatRead
+};
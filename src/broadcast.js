@@ -0,0 +1,291 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Broadcasts (Topics & User Segments)
+ * ========================================
+ *
+ * A broadcast sends one notification to an audience instead of a
+ * recipient list:
+ *
+ *   { topics: ['announcements'] }            → Appwrite Messaging topics
+ *   { segment: { where: [['appVersionCode', '<', 230]] } }
+ *                                             → Firestore query on `users`
+ *
+ * Progress is checkpointed after every page of users, so an interrupted
+ * broadcast resumes after the last completed page instead of starting over:
+ *
+ *   broadcasts/{id} → {
+ *     status: 'running' | 'completed' | 'failed',
+ *     mode, target, event, cursor, pages, totals, failures, leaseUntil, ...
+ *   }
+ *
+ * A lease (BROADCAST_LEASE_MS) keeps concurrent runs off the same broadcast.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const config = require('./config');
+const { toMillis, toStorable } = require('./utils');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const SEGMENT_OPERATORS = ['<', '<=', '==', '!=', '>=', '>', 'array-contains', 'array-contains-any', 'in', 'not-in'];
+const RANGE_OPERATORS = ['<', '<=', '!=', '>=', '>', 'not-in'];
+
+const EMPTY_TOTALS = {
+  recipients: 0,
+  devices: 0,
+  delivered: 0,
+  failed: 0,
+  suppressed: 0,
+  noDevices: 0,
+  resumedPages: 0
+};
+
+function broadcastCollection(db) {
+  return db.collection(config.BROADCAST_COLLECTION);
+}
+
+/**
+ * Appwrite message ID of a topic broadcast (at most 36 characters of
+ * a-z, A-Z, 0-9, '.', '-', '_'). Hashed, so distinct broadcasts never share
+ * one, while a repeated run of the same broadcast fails with 409.
+ */
+function getTopicMessageId(broadcastId) {
+  return `b${crypto.createHash('sha256').update(String(broadcastId)).digest('hex').slice(0, 35)}`;
+}
+
+// ========================================
+// TARGET
+// ========================================
+
+/**
+ * Validate and normalize a broadcast target. Throws INVALID_PAYLOAD when invalid.
+ * Segment conditions accept [field, op, value] or { field, op, value }.
+ */
+function normalizeTarget(target) {
+  if (!target || typeof target !== 'object') {
+    throw new ValidationError('Missing required field: target (topics or segment)');
+  }
+
+  if (target.topics !== undefined) {
+    const topics = Array.isArray(target.topics) ? target.topics : [target.topics];
+
+    if (topics.length === 0 || !topics.every(topic => typeof topic === 'string' && topic)) {
+      throw new ValidationError('Invalid field: target.topics must be a list of topic IDs');
+    }
+
+    return { mode: 'topic', target: { topics } };
+  }
+
+  if (target.segment !== undefined) {
+    const where = (target.segment && target.segment.where) || [];
+
+    const conditions = where.map(condition => {
+      const [field, op, value] = Array.isArray(condition)
+        ? condition
+        : [condition.field, condition.op, condition.value];
+
+      if (!field || !SEGMENT_OPERATORS.includes(op) || value === undefined) {
+        throw new ValidationError(`Invalid segment condition: ${JSON.stringify(condition)}`);
+      }
+
+      return { field: String(field), op, value };
+    });
+
+    const rangeFields = new Set(conditions.filter(c => RANGE_OPERATORS.includes(c.op)).map(c => c.field));
+
+    // Paging orders by the range field, so only one is supported
+    if (rangeFields.size > 1) {
+      throw new ValidationError('Invalid segment: range conditions must all use the same field');
+    }
+
+    return { mode: 'segment', target: { segment: { where: conditions } } };
+  }
+
+  throw new ValidationError('Invalid field: target needs topics or segment');
+}
+
+/**
+ * Next page of user IDs in the segment, after `cursor` (values of the
+ * ordering fields of the last user of the previous page)
+ */
+async function fetchSegmentPage(db, segment, cursor, pageSize = config.BROADCAST_PAGE_SIZE) {
+  const rangeCondition = segment.where.find(c => RANGE_OPERATORS.includes(c.op));
+  const documentId = admin.firestore.FieldPath.documentId();
+
+  let query = db.collection('users');
+
+  segment.where.forEach(({ field, op, value }) => {
+    query = query.where(field, op, value);
+  });
+
+  if (rangeCondition) {
+    query = query.orderBy(rangeCondition.field);
+  }
+  query = query.orderBy(documentId);
+
+  if (cursor) {
+    query = query.startAfter(...cursor);
+  }
+
+  const snapshot = await query.limit(pageSize).get();
+  const last = snapshot.docs[snapshot.docs.length - 1];
+
+  return {
+    userIds: snapshot.docs.map(doc => doc.id),
+    cursor: last
+      ? [...(rangeCondition ? [last.get(rangeCondition.field)] : []), last.id]
+      : cursor,
+    done: snapshot.docs.length < pageSize
+  };
+}
+
+// ========================================
+// CHECKPOINTS
+// ========================================
+
+/**
+ * Create a broadcast, or return the existing one when `broadcastId` was
+ * used before (a repeated request resumes instead of re-sending).
+ */
+async function createBroadcast(db, { broadcastId, mode, target, event, requestId }) {
+  const ref = broadcastId
+    ? broadcastCollection(db).doc(String(broadcastId).replace(/\//g, '_'))
+    : broadcastCollection(db).doc();
+
+  return db.runTransaction(async transaction => {
+    const snapshot = await transaction.get(ref);
+
+    if (snapshot.exists) {
+      return { id: ref.id, created: false, ...snapshot.data() };
+    }
+
+    const now = new Date();
+    const entry = {
+      status: 'running',
+      mode,
+      target: toStorable(target),
+      event: toStorable(event),
+      cursor: null,
+      pages: 0,
+      totals: { ...EMPTY_TOTALS },
+      failures: 0,
+      requestId: requestId || null,
+      leaseUntil: new Date(0),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    transaction.set(ref, entry);
+
+    return { id: ref.id, created: true, ...entry };
+  });
+}
+
+/**
+ * Lease a running broadcast for this invocation.
+ * Returns the entry, or null when it is finished or leased by another run.
+ */
+async function leaseBroadcast(db, id) {
+  const ref = broadcastCollection(db).doc(String(id));
+  const now = Date.now();
+
+  return db.runTransaction(async transaction => {
+    const snapshot = await transaction.get(ref);
+    const data = snapshot.exists ? snapshot.data() : null;
+
+    if (!data || data.status !== 'running' || toMillis(data.leaseUntil) > now) {
+      return null;
+    }
+
+    const leaseUntil = new Date(now + config.BROADCAST_LEASE_MS);
+    transaction.update(ref, { leaseUntil, updatedAt: new Date(now) });
+
+    return { id: ref.id, ...data, leaseUntil };
+  });
+}
+
+/**
+ * Record a completed page (and extend the lease)
+ */
+async function saveCheckpoint(db, id, { cursor, pages, totals }) {
+  const now = Date.now();
+
+  await broadcastCollection(db).doc(String(id)).update({
+    cursor: cursor || null,
+    pages,
+    totals,
+    leaseUntil: new Date(now + config.BROADCAST_LEASE_MS),
+    updatedAt: new Date(now)
+  });
+}
+
+/**
+ * Release the lease: completed / failed, or still running (time budget
+ * used up - the next run resumes it right away)
+ */
+async function releaseBroadcast(db, id, update) {
+  const now = new Date();
+
+  await broadcastCollection(db).doc(String(id)).update({
+    ...update,
+    ...(update.status && update.status !== 'running' && { completedAt: now }),
+    leaseUntil: new Date(0),
+    updatedAt: now
+  });
+}
+
+async function getBroadcast(db, id) {
+  const snapshot = await broadcastCollection(db).doc(String(id)).get();
+
+  if (!snapshot.exists) {
+    throw new NotFoundError('BROADCAST_NOT_FOUND', `Broadcast ${id} not found`);
+  }
+
+  return { id: snapshot.id, ...snapshot.data() };
+}
+
+/**
+ * Running broadcasts whose lease expired (interrupted or out of time)
+ */
+async function findResumable(db, limit = 10) {
+  const snapshot = await broadcastCollection(db)
+    .where('status', '==', 'running')
+    .where('leaseUntil', '<=', new Date())
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map(doc => doc.id);
+}
+
+/**
+ * Add a page's delivery result to the running totals
+ */
+function addPageTotals(totals, result) {
+  const recipients = result.recipients || [];
+  const suppressed = recipients.filter(r => ['dnd', 'muted', 'quiet_hours'].includes(r.status)).length;
+
+  return {
+    ...totals,
+    recipients: totals.recipients + recipients.length,
+    devices: totals.devices + (result.devices || 0),
+    delivered: totals.delivered + (result.successful || 0),
+    failed: totals.failed + (result.failed || 0),
+    suppressed: totals.suppressed + suppressed,
+    noDevices: totals.noDevices + recipients.filter(r => r.status === 'no_devices').length,
+    resumedPages: totals.resumedPages + (result.status === 'duplicate' ? 1 : 0)
+  };
+}
+
+module.exports = {
+  getTopicMessageId,
+  normalizeTarget,
+  fetchSegmentPage,
+  createBroadcast,
+  leaseBroadcast,
+  saveCheckpoint,
+  releaseBroadcast,
+  getBroadcast,
+  findResumable,
+  addPageTotals
+};
@@ -0,0 +1,170 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Token Bucket Stores (rate limit budget)
+ * ========================================
+ *
+ * A bucket holds up to `capacity` tokens and refills at `ratePerSecond`;
+ * every push spends one. The RateLimiter (utils.js) draws tokens through a
+ * store:
+ *
+ *   take(key, { count, ratePerSecond, capacity })
+ *     → { granted, waitMs }   granted = tokens handed out (0..count),
+ *                             waitMs  = time until the next token when none
+ *
+ * - memory    (default) one bucket per function instance
+ * - firestore one project-wide budget: every instance spends its share
+ *             (rate / active instances) from a local bucket, counting the
+ *             active instances through Firestore once per time slice
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * Bucket state after refilling from `refilledAt` to `now`
+ * (a missing bucket starts full)
+ */
+function refill(state, now, ratePerSecond, capacity) {
+  if (!state) return { tokens: capacity, refilledAt: now };
+
+  const elapsed = Math.max(0, now - state.refilledAt);
+  const tokens = Math.min(capacity, state.tokens + (elapsed * ratePerSecond) / 1000);
+
+  return { tokens, refilledAt: Math.max(now, state.refilledAt) };
+}
+
+/**
+ * Spend up to `count` whole tokens of a refilled bucket
+ */
+function spend(state, count, ratePerSecond) {
+  const granted = Math.min(count, Math.floor(state.tokens));
+  const tokens = state.tokens - granted;
+
+  return {
+    state: { ...state, tokens },
+    granted,
+    waitMs: granted > 0 ? 0 : Math.ceil(((1 - tokens) * 1000) / ratePerSecond)
+  };
+}
+
+// ========================================
+// IN-MEMORY STORE (one budget per instance)
+// ========================================
+
+class MemoryBucketStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async take(key, { count, ratePerSecond, capacity }) {
+    const state = refill(this.buckets.get(key), Date.now(), ratePerSecond, capacity);
+    const result = spend(state, count, ratePerSecond);
+
+    this.buckets.set(key, result.state);
+    return { granted: result.granted, waitMs: result.waitMs };
+  }
+}
+
+// ========================================
+// FIRESTORE QUOTA STORE (one budget per project)
+// ========================================
+
+/**
+ * Once per slice (RATE_LIMIT_SLICE_MS) an instance writes its heartbeat to
+ * `rateLimits/{key}/instances/{instanceId}` and counts the heartbeats of
+ * the last two slices. Until the next slice it spends rate / instances
+ * from its own bucket. Pushes cost no Firestore write, and each heartbeat
+ * document has a single writer, once per slice.
+ *
+ * Refreshes run in the background: only an instance's first take waits
+ * for Firestore. A joining instance is counted by the others once their
+ * next refresh completes, so after a scale-out the project can send up to
+ * twice the rate for one slice plus a Firestore round trip. An idle
+ * instance keeps its share until it misses two slices.
+ */
+class FirestoreQuotaStore {
+  constructor(db, {
+    collection = config.RATE_LIMIT_COLLECTION,
+    sliceMs = config.RATE_LIMIT_SLICE_MS,
+    instanceId = crypto.randomBytes(4).toString('hex')
+  } = {}) {
+    this.db = db;
+    this.collection = collection;
+    this.sliceMs = sliceMs;
+    this.instanceId = instanceId;
+    this.local = new MemoryBucketStore();
+    this.quotas = new Map();
+  }
+
+  async take(key, { count, ratePerSecond, capacity }) {
+    const instances = await this.getInstances(key);
+
+    return this.local.take(key, {
+      count,
+      ratePerSecond: ratePerSecond / instances,
+      capacity: Math.max(1, capacity / instances)
+    });
+  }
+
+  /**
+   * Active instances sharing `key`, refreshed once per slice (awaited only
+   * before the first count). After a failed refresh, takes fail until a
+   * refresh succeeds (the limiter then falls back to its conservative
+   * local rate).
+   */
+  async getInstances(key) {
+    if (!this.quotas.has(key)) {
+      this.quotas.set(key, { instances: 0, refreshAt: 0, error: null, refreshing: null });
+    }
+    const quota = this.quotas.get(key);
+
+    if (Date.now() >= quota.refreshAt && !quota.refreshing) {
+      quota.refreshing = this.register(key)
+        .then(instances => {
+          quota.instances = instances;
+          quota.error = null;
+        })
+        .catch(err => {
+          quota.error = err;
+        })
+        .finally(() => {
+          quota.refreshAt = Date.now() + this.sliceMs;
+          quota.refreshing = null;
+        });
+    }
+
+    if (quota.refreshing && quota.instances === 0) {
+      await quota.refreshing;
+    }
+    if (quota.error) {
+      throw quota.error;
+    }
+    return quota.instances;
+  }
+
+  async register(key) {
+    const now = Date.now();
+    const instances = this.db.collection(this.collection).doc(key).collection('instances');
+
+    await instances.doc(this.instanceId).set({
+      seenAt: now,
+      expiresAt: new Date(now + 2 * this.sliceMs)   // TTL policy field
+    });
+
+    const active = await instances.where('seenAt', '>=', now - 2 * this.sliceMs).get();
+    return Math.max(1, active.size);
+  }
+}
+
+function createBucketStore(db) {
+  return config.RATE_LIMIT_STORE === 'firestore'
+    ? new FirestoreQuotaStore(db)
+    : new MemoryBucketStore();
+}
+
+module.exports = {
+  MemoryBucketStore,
+  FirestoreQuotaStore,
+  createBucketStore
+};
@@ -0,0 +1,104 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Per-Chat Notification Collapsing
+ * ========================================
+ *
+ * Bursts of messages in the same chat replace each other on the device
+ * instead of stacking up: every push for a chat carries the same tag /
+ * collapse key, and once more than one message arrives inside
+ * COLLAPSE_WINDOW_MS the title becomes "Alice: 4 new messages".
+ *
+ * Burst state survives across invocations in Firestore:
+ *   users/{uid}/notificationBursts/{chatId} → { count, firstAt, lastAt }
+ */
+
+const config = require('./config');
+const { getLogger } = require('./logger');
+
+/**
+ * Stable tag / collapse key for a chat
+ */
+function getCollapseTag(chatId) {
+  return `chat_${chatId}`;
+}
+
+function burstRef(db, recipientId, chatId) {
+  return db.collection('users').doc(recipientId)
+    .collection(config.BURSTS_COLLECTION).doc(String(chatId));
+}
+
+/**
+ * Burst state after one more message at `now`
+ */
+function nextBurst(snapshot, now) {
+  const burst = snapshot.exists ? snapshot.data() : null;
+  const inWindow = burst && now - burst.lastAt < config.COLLAPSE_WINDOW_MS;
+
+  return {
+    count: inWindow ? burst.count + 1 : 1,
+    firstAt: inWindow ? burst.firstAt : now,
+    lastAt: now
+  };
+}
+
+/**
+ * Atomically record a new message in the recipient's burst for `chatId`.
+ * Returns the number of messages in the current burst (1 = no burst).
+ */
+async function recordBurst(db, recipientId, chatId, now = Date.now()) {
+  const ref = burstRef(db, recipientId, chatId);
+
+  return db.runTransaction(async transaction => {
+    const burst = nextBurst(await transaction.get(ref), now);
+    transaction.set(ref, burst);
+    return burst.count;
+  });
+}
+
+/**
+ * Number of messages in the recipient's current burst for `chatId`.
+ * Returns 1 (no collapsing) when disabled or when burst tracking fails.
+ */
+async function trackBurst(db, recipientId, chatId) {
+  if (!config.COLLAPSE_ENABLED) {
+    return 1;
+  }
+
+  try {
+    const count = await recordBurst(db, recipientId, chatId);
+
+    if (count > 1) {
+      getLogger().debug('collapse.burst', { recipientId, chatId, count });
+    }
+
+    return count;
+  } catch (err) {
+    getLogger().error('collapse.track_failed', { recipientId, chatId, err });
+    return 1;
+  }
+}
+
+/**
+ * Burst count a new message would get, without recording it (dry runs).
+ * Returns 1 when disabled or unreadable.
+ */
+async function peekBurst(db, recipientId, chatId) {
+  if (!config.COLLAPSE_ENABLED) {
+    return 1;
+  }
+
+  try {
+    return nextBurst(await burstRef(db, recipientId, chatId).get(), Date.now()).count;
+  } catch (err) {
+    getLogger().error('collapse.read_failed', { recipientId, chatId, err });
+    return 1;
+  }
+}
+
+module.exports = {
+  getCollapseTag,
+  recordBurst,
+  trackBurst,
+  peekBurst
+};
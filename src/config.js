@@ -3,51 +3,413 @@
  * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
  * Configuration for 10,000+ concurrent users
  * ========================================
+ *
+ * Every setting below can be overridden by the environment variable of the
+ * same name (a few also accept a legacy alias, e.g. NOTIFY_HMAC_SECRET).
+ * Values are resolved once, at load time:
+ *
+ *   environment variable  >  profile (TROVATASK_PROFILE)  >  default
+ *
+ * Profiles: dev, staging, prod (the default, = the values below).
+ *
+ * Environment values are coerced to the setting's type ("25" → 25,
+ * "false" → false, "a,b" → ['a', 'b']) and range-checked. A bad value
+ * never throws here: the setting keeps its default and the problem is
+ * recorded in CONFIG_PROBLEMS, which the entrypoint reports (all problems
+ * together) before handling any request.
+ *
+ * Credentials (Firebase service account, Appwrite key) are not read here;
+ * they are checked when the clients are first built (clients.js).
  */
 
-// ✅ CRITICAL BUG FIX: Environment variable validation
-const requiredVars = [
-  'FIREBASE_SERVICE_ACCOUNT',
-  'APPWRITE_FUNCTION_API_ENDPOINT',
-  'APPWRITE_FUNCTION_PROJECT_ID',
-  'APPWRITE_API_KEY'
-];
+// ========================================
+// SETTING TYPES
+// ========================================
 
-// Validate all required environment variables exist
-for (const varName of requiredVars) {
-  if (!process.env[varName]) {
-    throw new Error(`❌ FATAL: Missing required environment variable: ${varName}`);
-  }
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Each builder returns { default, parse(raw) → value, check(value) → error|null }
+ * plus the options `secret` (value never echoed in problems) and `env` (an
+ * alias variable read when the setting's own is unset). A null default means
+ * "off" until the variable is set.
+ */
+function setting(defaultValue, parse, check = () => null, options = {}) {
+  return { default: defaultValue, parse, check, ...options };
+}
+
+function rangeCheck({ min, max }) {
+  return value => {
+    if (min !== undefined && value < min) return `must be at least ${min}`;
+    if (max !== undefined && value > max) return `must be at most ${max}`;
+    return null;
+  };
+}
+
+function parseNumber(raw) {
+  const value = Number(raw);
+  if (raw.trim() === '' || !Number.isFinite(value)) throw new Error('must be a number');
+  return value;
+}
+
+function integer(defaultValue, range = {}) {
+  return setting(defaultValue, raw => {
+    const value = parseNumber(raw);
+    if (!Number.isInteger(value)) throw new Error('must be an integer');
+    return value;
+  }, rangeCheck(range));
+}
+
+function number(defaultValue, range = {}) {
+  return setting(defaultValue, parseNumber, rangeCheck(range));
+}
+
+function boolean(defaultValue) {
+  return setting(defaultValue, raw => {
+    const value = raw.trim().toLowerCase();
+    if (TRUE_VALUES.includes(value)) return true;
+    if (FALSE_VALUES.includes(value)) return false;
+    throw new Error('must be true or false');
+  });
+}
+
+function string(defaultValue, options = {}) {
+  return setting(defaultValue, raw => raw, value => (
+    value === '' && !options.allowEmpty ? 'must not be empty' : null
+  ), options);
+}
+
+function oneOf(defaultValue, values, options = {}) {
+  return setting(defaultValue, raw => raw.trim(), value => (
+    values.includes(value) ? null : `must be one of: ${values.join(', ')}`
+  ), options);
 }
 
-console.log('✅ Environment variables validated');
+/**
+ * String in a given format (e.g. a version number)
+ */
+function matching(defaultValue, pattern, format) {
+  return setting(defaultValue, raw => raw.trim(), value => (
+    pattern.test(value) ? null : `must be ${format}`
+  ));
+}
+
+/**
+ * Comma-separated list of strings
+ */
+function list(defaultValue) {
+  return setting(defaultValue, raw => raw.split(',').map(item => item.trim()).filter(Boolean));
+}
+
+/**
+ * Comma-separated list of numbers in ascending order (histogram buckets)
+ */
+function ascendingNumbers(defaultValue) {
+  return setting(defaultValue, raw => raw.split(',').map(item => parseNumber(item)), value => {
+    if (value.length === 0) return 'must list at least one number';
+    const sorted = value.every((item, index) => index === 0 || item > value[index - 1]);
+    return sorted && value[0] > 0 ? null : 'must be positive numbers in ascending order';
+  });
+}
+
+/**
+ * JSON object kept as its source string (parsed by the module using it)
+ */
+function jsonObject(defaultValue) {
+  return setting(defaultValue, raw => raw, value => {
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? null : 'must be a JSON object';
+    } catch (err) {
+      return 'must be valid JSON';
+    }
+  });
+}
 
 // ========================================
 // PERFORMANCE SETTINGS (A+ OPTIMIZED)
 // ========================================
 
-module.exports = {
+const SETTINGS = {
   // Appwrite Pro Plan Limits (A+ Optimized)
-  APPWRITE_RATE_LIMIT: 750,                // ✅ Increased from 700 to 750
-  RATE_LIMIT_PER_SECOND: 750,              // ✅ Increased for 10k+ users
-  MAX_CONCURRENT_REQUESTS: 50,             // ✅ Optimized from 100 to 50
-  
+  APPWRITE_RATE_LIMIT: integer(750, { min: 1 }),           // ✅ Increased from 700 to 750
+  RATE_LIMIT_PER_SECOND: integer(750, { min: 1 }),         // ✅ Increased for 10k+ users
+  MAX_CONCURRENT_REQUESTS: integer(50, { min: 1, max: 1000 }), // ✅ Optimized from 100 to 50
+
+  // Rate Limit Budget (token bucket, see buckets.js)
+  RATE_LIMIT_STORE: oneOf('memory', ['memory', 'firestore']), // 'memory' (per instance) or 'firestore' (project-wide)
+  RATE_LIMIT_COLLECTION: string('rateLimits'),
+  RATE_LIMIT_SLICE_MS: integer(5000, { min: 1000 }),       // 'firestore': instances recounted every 5s
+  RATE_LIMIT_FALLBACK_FRACTION: number(0.1, { min: 0.01, max: 1 }), // Share of the rate used while the store fails
+
+  // Priority Lanes (critical / high / normal / bulk, see priority.js)
+  PRIORITY_WEIGHT_CRITICAL: integer(8, { min: 1 }),        // Limiter slots per round when every lane waits
+  PRIORITY_WEIGHT_HIGH: integer(4, { min: 1 }),
+  PRIORITY_WEIGHT_NORMAL: integer(2, { min: 1 }),
+  PRIORITY_WEIGHT_BULK: integer(1, { min: 1 }),
+  PRIORITY_TTL_CRITICAL_SECONDS: integer(60, { min: 0 }),  // An incoming call is useless a minute later
+  PRIORITY_TTL_HIGH_SECONDS: integer(3600, { min: 0 }),
+  PRIORITY_TTL_NORMAL_SECONDS: integer(86400, { min: 0 }),
+  PRIORITY_TTL_BULK_SECONDS: integer(14400, { min: 0 }),   // Announcements go stale after 4h
+
   // Retry Configuration (with exponential backoff)
-  MAX_RETRIES: 2,
-  INITIAL_RETRY_DELAY: 50,
-  MAX_RETRY_DELAY: 2000,
-  
+  MAX_RETRIES: integer(2, { min: 0, max: 10 }),
+  INITIAL_RETRY_DELAY: integer(50, { min: 0 }),
+  MAX_RETRY_DELAY: integer(2000, { min: 0 }),
+
+  // Circuit Breaker (per transport)
+  CIRCUIT_FAILURE_THRESHOLD: integer(5, { min: 1 }),       // Consecutive upstream failures before opening
+  CIRCUIT_RESET_TIMEOUT: integer(10000, { min: 100 }),     // Stay open 10s, then allow a half-open trial
+  CIRCUIT_HALF_OPEN_MAX_CALLS: integer(1, { min: 1 }),
+
+  // Adaptive Throttling (429/503 from upstream)
+  THROTTLE_DECREASE_FACTOR: number(0.5, { min: 0.01, max: 1 }), // Halve the rate on 429/503
+  THROTTLE_INCREASE_STEP: integer(25, { min: 1 }),         // +25 req/sec per recovery interval
+  THROTTLE_RECOVERY_INTERVAL: integer(1000, { min: 10 }),
+  THROTTLE_MIN_RATE: integer(10, { min: 1 }),
+
   // Performance Settings (A+ Optimized)
-  BATCH_SIZE: 50,
-  REQUEST_TIMEOUT: 8000,
-  EARLY_RESPONSE_THRESHOLD: 150,           // ✅ Reduced from 300ms to 150ms
-  MAX_TEXT_LENGTH: 100,
-  MAX_TITLE_LENGTH: 50,                    // ✅ Added title length limit
-  
+  BATCH_SIZE: integer(50, { min: 1 }),
+  REQUEST_TIMEOUT: integer(8000, { min: 100 }),
+  FUNCTION_TIMEOUT_MS: integer(45000, { min: 1000 }),      // The function's execution timeout (45s)
+  EARLY_RESPONSE_THRESHOLD: integer(150, { min: 0 }),      // ✅ Reduced from 300ms to 150ms
+  MAX_TEXT_LENGTH: integer(100, { min: 1 }),
+  MAX_TITLE_LENGTH: integer(50, { min: 1 }),               // ✅ Added title length limit
+  DEFAULT_LOCALE: string('en'),                            // Fallback notification language
+
   // Features
-  ENABLE_CACHING: true,
-  CACHE_TTL: 300,
-  
+  ENABLE_CACHING: boolean(true),
+  CACHE_TTL: integer(300, { min: 0 }),
+
+  // Group Chat Fan-Out
+  CHATS_COLLECTION: string('chats'),
+  CHAT_PARTICIPANTS_FIELD: string('participants'),
+  MAX_RECIPIENTS: integer(256, { min: 1 }),
+
+  // Notification Preferences (muted chats, DND, quiet hours)
+  PREFERENCES_FIELD: string('notificationPreferences'),
+  DEFAULT_TIMEZONE: string('UTC'),
+
+  // Notification Collapsing (bursts in the same chat)
+  COLLAPSE_ENABLED: boolean(true),
+  COLLAPSE_WINDOW_MS: integer(60000, { min: 0 }),          // Messages within 60s collapse into one
+  BURSTS_COLLECTION: string('notificationBursts'),
+
+  // Idempotent Delivery (dedup ledger keyed on messageId)
+  DEDUP_ENABLED: boolean(true),
+  DEDUP_STORE: oneOf('firestore', ['firestore', 'memory']), // 'firestore' (durable) or 'memory'
+  DEDUP_COLLECTION: string('notificationLedger'),
+  DEDUP_TTL_SECONDS: integer(86400, { min: 1 }),           // Ledger entries expire after 24h
+  DEDUP_PROCESSING_LEASE_MS: integer(60000, { min: 1000 }), // Processing longer than 60s = invocation died
+
+  // Delivery Transports ('appwrite' = Appwrite Messaging, 'fcm' = direct FCM)
+  PRIMARY_TRANSPORT: oneOf('appwrite', ['appwrite', 'fcm']),
+  FALLBACK_TRANSPORT: oneOf(null, ['appwrite', 'fcm']),
+  FCM_TOKEN_FIELD: string('fcmToken'),                     // Device entry field holding the FCM token
+  APPWRITE_TARGET_FIELD: string('appwriteTargetId'),       // Device entry field holding the Appwrite push target ID
+
+  // Device Targeting & Pruning (see devices.js)
+  TARGETING_POLICY: oneOf('all', ['all', 'latest', 'active']), // Which of a recipient's devices get the push
+  TARGETING_ACTIVE_DAYS: integer(30, { min: 1 }),          // 'active': seen within the last 30 days
+  TARGETING_PLATFORMS: list([]),                           // e.g. android,ios (empty = every platform)
+  TARGETING_MIN_APP_VERSION: matching(null, /^\d+(\.\d+)*$/, 'a version number (e.g. 2.3.0)'),
+  DEVICE_STALE_DAYS: integer(90, { min: 1 }),              // Pruned after 90 days without activity
+  DEVICE_PRUNE_PAGE_SIZE: integer(100, { min: 1, max: 500 }),
+  DEVICE_PRUNE_MAX_USERS: integer(1000, { min: 1 }),       // Users scanned per prune call
+  DEVICE_PRUNE_TIME_BUDGET_MS: integer(10000, { min: 100 }), // Stop scanning after 10s, continue from the cursor
+
+  // Durable Delivery Outbox
+  OUTBOX_ENABLED: boolean(true),
+  OUTBOX_COLLECTION: string('notificationOutbox'),
+  OUTBOX_STALE_MS: integer(60000, { min: 1000 }),          // Pending longer than 60s = invocation died
+  OUTBOX_MAX_ATTEMPTS: integer(5, { min: 1 }),             // Dead-letter after 5 attempts
+  OUTBOX_RETRY_BASE_DELAY: integer(30000, { min: 0 }),     // 30s, 60s, 120s, ... between retries
+  OUTBOX_RETRY_MAX_DELAY: integer(900000, { min: 0 }),     // Capped at 15 minutes
+  OUTBOX_SWEEP_BATCH: integer(100, { min: 1, max: 500 }),  // Entries retried per sweep
+
+  // Delivery Log (per-attempt records + query route)
+  DELIVERY_LOG_ENABLED: boolean(true),
+  DELIVERY_LOG_COLLECTION: string('notificationLog'),
+  DELIVERY_LOG_RETENTION_DAYS: integer(30, { min: 1 }),
+  DELIVERY_LOG_PAGE_SIZE: integer(50, { min: 1 }),
+  DELIVERY_LOG_MAX_PAGE_SIZE: integer(200, { min: 1 }),
+
+  // Unread Badge Counters
+  BADGES_ENABLED: boolean(true),
+  BADGE_COLLECTION: string('unreadCounters'),
+  BADGE_PER_CHAT: boolean(true),                           // Also keep a counter per chat
+
+  // Presentation Profiles (action, icon, sound, color, thumbnail per type)
+  PRESENTATION_PROFILES: jsonObject(null),
+  THUMBNAIL_FIELDS: list(['thumbnailUrl', 'imageUrl', 'mediaUrl']),
+
+  // Scheduled & Delayed Notifications
+  SCHEDULE_COLLECTION: string('scheduledNotifications'),
+  SCHEDULE_MAX_DELAY_DAYS: integer(30, { min: 1 }),        // sendAt at most 30 days ahead
+  SCHEDULE_BATCH: integer(100, { min: 1, max: 500 }),      // Due notifications processed per run
+  SCHEDULE_LEASE_MS: integer(60000, { min: 1000 }),        // Processing longer than 60s = invocation died
+  SCHEDULE_MAX_ATTEMPTS: integer(3, { min: 1 }),           // Mark failed after 3 attempts
+
+  // Broadcasts (Appwrite topics or Firestore user segments)
+  BROADCAST_COLLECTION: string('broadcasts'),
+  BROADCAST_PAGE_SIZE: integer(100, { min: 1 }),           // Users per page (≤ MAX_RECIPIENTS)
+  BROADCAST_TIME_BUDGET_MS: integer(10000, { min: 100 }),  // Stop paging after 10s (below the function timeout), resume next run
+  BROADCAST_LEASE_MS: integer(60000, { min: 1000 }),       // Leased longer than 60s = invocation died
+  BROADCAST_MAX_FAILURES: integer(3, { min: 1 }),          // Mark failed after 3 failed runs
+  BROADCAST_DEFAULT_KIND: string('system_announcement'),
+
+  // Authentication (direct HTTP calls) & chat membership authorization
+  AUTH_ENABLED: boolean(true),
+  AUTH_HMAC_SECRET: string(null, { secret: true, env: 'NOTIFY_HMAC_SECRET' }),
+  AUTH_SHARED_SECRET: string(null, { secret: true, env: 'NOTIFY_SHARED_SECRET' }),
+  AUTH_SIGNATURE_HEADER: string('x-trovatask-signature'),
+  AUTH_TIMESTAMP_HEADER: string('x-trovatask-timestamp'),
+  AUTH_SECRET_HEADER: string('x-trovatask-secret'),
+  AUTH_SIGNATURE_TOLERANCE_SECONDS: integer(300, { min: 1 }), // Reject signatures older than 5 minutes
+  AUTHORIZE_CHAT_MEMBERS: boolean(true),                   // Sender and recipients must be chat participants
+
+  // Payload Schema (input limits, see schema.js)
+  EVENT_ID_MAX_LENGTH: integer(128, { min: 1 }),           // recipientId, chatId, taskId, ...
+  EVENT_TEXT_MAX_LENGTH: integer(10000, { min: 1 }),       // Chat message text (truncated to MAX_TEXT_LENGTH for display)
+  EVENT_TITLE_MAX_LENGTH: integer(200, { min: 1 }),        // Task titles, announcement titles
+  EVENT_BODY_MAX_LENGTH: integer(2000, { min: 1 }),        // Announcement bodies
+
+  // Structured Logging (JSON lines through the Appwrite log / error callbacks)
+  LOG_LEVEL: oneOf('info', ['debug', 'info', 'warn', 'error', 'silent']),
+  LOG_REDACT_CONTENT: oneOf('drop', ['drop', 'hash', 'none']),      // Message text
+  LOG_REDACT_IDENTIFIERS: oneOf('hash', ['hash', 'drop', 'none']),  // User IDs / tokens
+  LOG_HASH_SALT: string('', { secret: true, allowEmpty: true }),
+  LOG_CONTENT_FIELDS: list(['text', 'preview', 'title', 'body', 'taskTitle', 'senderName', 'deviceName']),
+  LOG_IDENTIFIER_FIELDS: list([
+    'recipientId', 'recipientIds', 'recipients', 'senderId', 'userId',
+    'appwriteUserId', 'fcmToken', 'token', 'email'
+  ]),
+  LOG_REQUEST_ID_HEADER: string('x-request-id'),           // Caller-supplied correlation ID (optional)
+
+  // Metrics (Prometheus text format on GET /metrics)
+  METRICS_PREFIX: string('trovatask_'),
+  METRICS_LATENCY_BUCKETS: ascendingNumbers([0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]),    // Seconds (end-to-end, per device)
+  METRICS_WAIT_BUCKETS: ascendingNumbers([0.001, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5]), // Seconds (rate limiter wait)
+
   // Deep Link Configuration
-  DEEP_LINK_SCHEME: process.env.DEEP_LINK_SCHEME || 'trovatask'
+  DEEP_LINK_SCHEME: string('trovatask')
+};
+
+// ========================================
+// PROFILES
+// ========================================
+
+const DEFAULT_PROFILE = 'prod';
+
+const PROFILES = {
+  // Local runs: verbose logs, gentle on a shared test project, short leases
+  dev: {
+    LOG_LEVEL: 'debug',
+    RATE_LIMIT_PER_SECOND: 50,
+    MAX_CONCURRENT_REQUESTS: 10,
+    THROTTLE_INCREASE_STEP: 5,
+    DEDUP_PROCESSING_LEASE_MS: 10000,
+    SCHEDULE_LEASE_MS: 10000,
+    BROADCAST_LEASE_MS: 10000,
+    DELIVERY_LOG_RETENTION_DAYS: 3
+  },
+
+  // Pre-production: production behaviour at a fraction of the throughput
+  staging: {
+    LOG_LEVEL: 'debug',
+    RATE_LIMIT_PER_SECOND: 200,
+    MAX_CONCURRENT_REQUESTS: 25,
+    DELIVERY_LOG_RETENTION_DAYS: 7
+  },
+
+  prod: {}
+};
+
+// Checks spanning several settings: [setting, message, isValid(values)]
+const CONSTRAINTS = [
+  ['MAX_RETRY_DELAY', 'must be at least INITIAL_RETRY_DELAY',
+    v => v.MAX_RETRY_DELAY >= v.INITIAL_RETRY_DELAY],
+  ['OUTBOX_RETRY_MAX_DELAY', 'must be at least OUTBOX_RETRY_BASE_DELAY',
+    v => v.OUTBOX_RETRY_MAX_DELAY >= v.OUTBOX_RETRY_BASE_DELAY],
+  ['THROTTLE_MIN_RATE', 'must be at most RATE_LIMIT_PER_SECOND',
+    v => v.THROTTLE_MIN_RATE <= v.RATE_LIMIT_PER_SECOND],
+  ['EARLY_RESPONSE_THRESHOLD', 'must be below REQUEST_TIMEOUT',
+    v => v.EARLY_RESPONSE_THRESHOLD < v.REQUEST_TIMEOUT],
+  // A send still waiting on the limiter or its retries must never look abandoned
+  ['OUTBOX_STALE_MS', 'must exceed MAX_RETRY_DELAY × MAX_RETRIES + FUNCTION_TIMEOUT_MS',
+    v => v.OUTBOX_STALE_MS > v.MAX_RETRY_DELAY * v.MAX_RETRIES + v.FUNCTION_TIMEOUT_MS],
+  ['BROADCAST_PAGE_SIZE', 'must be at most MAX_RECIPIENTS',
+    v => v.BROADCAST_PAGE_SIZE <= v.MAX_RECIPIENTS],
+  ['DELIVERY_LOG_PAGE_SIZE', 'must be at most DELIVERY_LOG_MAX_PAGE_SIZE',
+    v => v.DELIVERY_LOG_PAGE_SIZE <= v.DELIVERY_LOG_MAX_PAGE_SIZE]
+];
+
+// ========================================
+// LOADING
+// ========================================
+
+function describe(definition, raw) {
+  return definition.secret ? '' : ` (got ${JSON.stringify(raw)})`;
+}
+
+/**
+ * Resolve every setting from `env`
+ *
+ * @returns {{ values: Object, profile: string, problems: Array<{ setting, message }> }}
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+
+  let profile = (env.TROVATASK_PROFILE || DEFAULT_PROFILE).trim();
+  if (!Object.prototype.hasOwnProperty.call(PROFILES, profile)) {
+    problems.push({
+      setting: 'TROVATASK_PROFILE',
+      message: `must be one of: ${Object.keys(PROFILES).join(', ')} (got ${JSON.stringify(profile)})`
+    });
+    profile = DEFAULT_PROFILE;
+  }
+
+  const values = {};
+
+  Object.entries(SETTINGS).forEach(([name, definition]) => {
+    const fallback = Object.prototype.hasOwnProperty.call(PROFILES[profile], name)
+      ? PROFILES[profile][name]
+      : definition.default;
+
+    // An empty variable counts as unset (Appwrite keeps cleared variables as "")
+    const source = [name, definition.env].find(key => key && env[key] !== undefined && env[key] !== '');
+
+    if (!source) {
+      values[name] = fallback;
+      return;
+    }
+
+    const raw = env[source];
+
+    try {
+      const value = definition.parse(raw);
+      const error = definition.check(value);
+      if (error) throw new Error(error);
+      values[name] = value;
+    } catch (err) {
+      problems.push({ setting: source, message: `${err.message}${describe(definition, raw)}` });
+      values[name] = fallback;
+    }
+  });
+
+  CONSTRAINTS.forEach(([name, message, isValid]) => {
+    if (!isValid(values)) problems.push({ setting: name, message });
+  });
+
+  return { values, profile, problems };
+}
+
+const { values, profile, problems } = loadConfig();
+
+module.exports = {
+  ...values,
+  PROFILE: profile,
+  CONFIG_PROBLEMS: problems,
+  loadConfig
 };
@@ -0,0 +1,154 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Idempotent Delivery Ledger
+ * ========================================
+ *
+ * Appwrite may redeliver the `messages.documents.*.create` event and
+ * clients may retry the HTTP call. Every invocation claims a ledger entry
+ * keyed on `messageId` (`eventId` for non-chat kinds, + `deviceId` when
+ * targeting one device) before sending; a repeat invocation gets the
+ * original result back instead of pushing twice.
+ *
+ * Store interface (Firestore by default):
+ *   claim(key, entry)    → { claimed: true } | { claimed: false, entry }
+ *   complete(key, result)
+ *   release(key)
+ *
+ * A claim is a short lease (DEDUP_PROCESSING_LEASE_MS): if the invocation
+ * dies before complete / release, the next redelivery reclaims the entry
+ * and sends. Completed entries are kept for DEDUP_TTL_SECONDS.
+ */
+
+const config = require('./config');
+const { toMillis, toStorable } = require('./utils');
+const { getKind, getKindName } = require('./kinds');
+
+/**
+ * Ledger key for an event, or null when it cannot be deduplicated
+ */
+function getLedgerKey(eventData) {
+  const { deviceId } = eventData;
+  const kind = getKind(getKindName(eventData));
+  const eventId = kind && kind.eventId(eventData);
+
+  if (!eventId) return null;
+
+  // Non-chat kinds are namespaced so their `eventId` never matches a messageId
+  const base = kind.chat ? String(eventId) : `${kind.name}_${eventId}`;
+
+  // Firestore document IDs cannot contain '/'
+  const key = deviceId ? `${base}_${deviceId}` : base;
+  return key.replace(/\//g, '_');
+}
+
+function getCompletedExpiry() {
+  return new Date(Date.now() + config.DEDUP_TTL_SECONDS * 1000);
+}
+
+// ========================================
+// FIRESTORE STORE (survives restarts)
+// ========================================
+
+class FirestoreLedgerStore {
+  constructor(db, collection = config.DEDUP_COLLECTION) {
+    this.db = db;
+    this.collection = collection;
+  }
+
+  async claim(key, entry) {
+    const ref = this.db.collection(this.collection).doc(key);
+    const now = Date.now();
+
+    return this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(ref);
+
+      // Expired entries (a completed entry past its TTL, or the claim of a
+      // dead invocation) are treated as absent (Firestore TTL may lag behind)
+      if (snapshot.exists && toMillis(snapshot.data().expiresAt) > now) {
+        return { claimed: false, entry: snapshot.data() };
+      }
+
+      // `expiresAt` is a Date so a Firestore TTL policy can purge old entries
+      transaction.set(ref, {
+        ...toStorable(entry),
+        status: 'processing',
+        createdAt: new Date(now),
+        expiresAt: new Date(now + config.DEDUP_PROCESSING_LEASE_MS)
+      });
+
+      return { claimed: true };
+    });
+  }
+
+  async complete(key, result) {
+    await this.db.collection(this.collection).doc(key).update({
+      status: 'completed',
+      result: toStorable(result),
+      completedAt: new Date(),
+      expiresAt: getCompletedExpiry()
+    });
+  }
+
+  async release(key) {
+    await this.db.collection(this.collection).doc(key).delete();
+  }
+}
+
+// ========================================
+// IN-MEMORY STORE (single instance, dev only)
+// ========================================
+
+class MemoryLedgerStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async claim(key, entry) {
+    const now = Date.now();
+    const existing = this.entries.get(key);
+
+    if (existing && toMillis(existing.expiresAt) > now) {
+      return { claimed: false, entry: existing };
+    }
+
+    this.entries.set(key, {
+      ...entry,
+      status: 'processing',
+      createdAt: new Date(now),
+      expiresAt: new Date(now + config.DEDUP_PROCESSING_LEASE_MS)
+    });
+
+    return { claimed: true };
+  }
+
+  async complete(key, result) {
+    const existing = this.entries.get(key);
+    if (existing) {
+      this.entries.set(key, {
+        ...existing,
+        status: 'completed',
+        result,
+        completedAt: new Date(),
+        expiresAt: getCompletedExpiry()
+      });
+    }
+  }
+
+  async release(key) {
+    this.entries.delete(key);
+  }
+}
+
+function createLedgerStore(db) {
+  return config.DEDUP_STORE === 'memory'
+    ? new MemoryLedgerStore()
+    : new FirestoreLedgerStore(db);
+}
+
+module.exports = {
+  getLedgerKey,
+  FirestoreLedgerStore,
+  MemoryLedgerStore,
+  createLedgerStore
+};
@@ -0,0 +1,141 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Persistent Notification Delivery Log
+ * ========================================
+ *
+ * Every delivery attempt (live sends and outbox sweep retries) is recorded
+ * in Firestore so support can answer "did user X get the notification for
+ * message Y?":
+ *
+ *   notificationLog/{id} → {
+ *     requestId, kind, messageId, chatId, recipientId, deviceId, transport,
+ *     outcome, errorCode, error, duration, autoCleanup, attempt, source,
+ *     createdAt, expiresAt
+ *   }
+ *
+ * `messageId` holds the event reference of non-chat kinds (their `eventId`).
+ * `expiresAt` (DELIVERY_LOG_RETENTION_DAYS) is meant for a Firestore TTL policy.
+ */
+
+const config = require('./config');
+const { toMillis } = require('./utils');
+const { ValidationError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function logCollection(db) {
+  return db.collection(config.DELIVERY_LOG_COLLECTION);
+}
+
+/**
+ * Outcome label for a device result
+ */
+function getOutcome(result) {
+  if (result.success) return 'delivered';
+  if (result.autoCleanup) return 'auto_cleaned';
+  if (result.circuitOpen) return 'circuit_open';
+  return 'failed';
+}
+
+/**
+ * Record one delivery attempt
+ */
+async function recordDelivery(db, result, meta = {}) {
+  const now = Date.now();
+
+  await logCollection(db).add({
+    requestId: meta.requestId || null,
+    kind: meta.kind || null,
+    messageId: meta.messageId ? String(meta.messageId) : null,
+    chatId: meta.chatId ? String(meta.chatId) : null,
+    recipientId: result.recipientId || meta.recipientId || null,
+    deviceId: result.deviceId || null,
+    deviceName: result.deviceName || null,
+    transport: result.transport || null,
+    outcome: getOutcome(result),
+    errorCode: result.errorCode !== undefined ? String(result.errorCode) : null,
+    error: result.success ? null : (result.error || null),
+    duration: result.duration || 0,
+    autoCleanup: Boolean(result.autoCleanup),
+    attempt: meta.attempt || 1,
+    source: meta.source || 'live',
+    createdAt: new Date(now),
+    expiresAt: new Date(now + config.DELIVERY_LOG_RETENTION_DAYS * DAY_MS)
+  });
+}
+
+function invalidFilter(message) {
+  return new ValidationError(message, undefined, 'INVALID_QUERY');
+}
+
+/**
+ * A from / to bound in milliseconds: epoch milliseconds (also as a string of
+ * digits, the way query strings carry them) or a date string
+ */
+function parseBound(value) {
+  return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : toMillis(value);
+}
+
+/**
+ * Query the log, newest first.
+ *
+ * Filters: recipientId, chatId, messageId (equality), from / to (createdAt range,
+ * ISO date or epoch milliseconds).
+ * Pagination: `limit` (max DELIVERY_LOG_MAX_PAGE_SIZE) and `cursor`, the ID of
+ * the last entry of the previous page (returned as `nextCursor`).
+ */
+async function queryDeliveryLog(db, filters = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(filters.limit, 10) || config.DELIVERY_LOG_PAGE_SIZE, 1),
+    config.DELIVERY_LOG_MAX_PAGE_SIZE
+  );
+
+  let query = logCollection(db);
+
+  for (const field of ['recipientId', 'chatId', 'messageId']) {
+    if (filters[field]) {
+      query = query.where(field, '==', String(filters[field]));
+    }
+  }
+
+  const from = parseBound(filters.from);
+  const to = parseBound(filters.to);
+
+  if (filters.from && from === null) throw invalidFilter(`Invalid "from" timestamp: ${filters.from}`);
+  if (filters.to && to === null) throw invalidFilter(`Invalid "to" timestamp: ${filters.to}`);
+
+  if (from !== null) query = query.where('createdAt', '>=', new Date(from));
+  if (to !== null) query = query.where('createdAt', '<=', new Date(to));
+
+  query = query.orderBy('createdAt', 'desc');
+
+  if (filters.cursor) {
+    const cursorDoc = await logCollection(db).doc(String(filters.cursor)).get();
+    if (!cursorDoc.exists) throw invalidFilter(`Invalid cursor: ${filters.cursor}`);
+    query = query.startAfter(cursorDoc);
+  }
+
+  // Fetch one extra entry to know whether another page exists
+  const snapshot = await query.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    entries: docs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        ...data,
+        createdAt: new Date(toMillis(data.createdAt)).toISOString(),
+        expiresAt: data.expiresAt ? new Date(toMillis(data.expiresAt)).toISOString() : null
+      };
+    }),
+    nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null
+  };
+}
+
+module.exports = {
+  getOutcome,
+  recordDelivery,
+  queryDeliveryLog
+};
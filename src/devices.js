@@ -0,0 +1,285 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Device Targeting & Stale-Device Pruning
+ * ========================================
+ *
+ * Targeting decides which of a recipient's devices get a push:
+ *
+ *   { policy: 'all' | 'latest' | 'active', activeWithinDays, platforms, minAppVersion }
+ *
+ *   all     → every device (default)
+ *   latest  → only the most recently active device
+ *   active  → devices active within `activeWithinDays`
+ *
+ * `platforms` (e.g. ['android']) and `minAppVersion` (e.g. '2.3.0') filter
+ * first, under every policy. Defaults come from TARGETING_*, an event can
+ * override them with its `targeting` field. A push to one `deviceId`
+ * bypasses targeting.
+ *
+ * A device's activity is its `lastActive` (else `createdAt`); devices with
+ * neither are kept, since nothing says they are stale. Its platform is
+ * `platform`, else the first word of `osVersion` ("Android 14" → android).
+ *
+ * Pruning scans `users` page by page and removes device entries that are
+ * stale (inactive for DEVICE_STALE_DAYS) or unreachable (nothing a
+ * configured transport can use: no Appwrite target or user, no FCM token).
+ */
+
+const admin = require('firebase-admin');
+const config = require('./config');
+const { toMillis } = require('./utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TARGETING_POLICIES = ['all', 'latest', 'active'];
+
+/**
+ * Extract the devices map from a Firestore user document.
+ * Supports both nested (`devices: {...}`) and flattened (`devices.<id>`) layouts.
+ */
+function parseDevices(userData, targetDeviceId) {
+  let devicesMap = userData.devices || {};
+
+  if (Object.keys(devicesMap).length === 0) {
+    Object.keys(userData).forEach(key => {
+      if (key.startsWith('devices.')) {
+        devicesMap[key.replace('devices.', '')] = userData[key];
+      }
+    });
+  }
+
+  if (targetDeviceId && devicesMap[targetDeviceId]) {
+    devicesMap = { [targetDeviceId]: devicesMap[targetDeviceId] };
+  }
+
+  return devicesMap;
+}
+
+/**
+ * Last activity of a device entry in millis, or null when unknown
+ */
+function getLastActive(device) {
+  const lastActive = toMillis(device.lastActive);
+  return lastActive !== null ? lastActive : toMillis(device.createdAt);
+}
+
+function getPlatform(device) {
+  const platform = device.platform || String(device.osVersion || '').trim().split(/\s+/)[0];
+  return platform ? String(platform).toLowerCase() : null;
+}
+
+/**
+ * Compare dotted numeric versions ("1.10.0" > "1.9.2"); -1, 0 or 1
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) return Math.sign(difference);
+  }
+  return 0;
+}
+
+// ========================================
+// TARGETING
+// ========================================
+
+/**
+ * Targeting of an event: its `targeting` field over the configured defaults
+ */
+function resolveTargeting(eventData = {}) {
+  const override = eventData.targeting || {};
+
+  return {
+    policy: override.policy || config.TARGETING_POLICY,
+    activeWithinDays: override.activeWithinDays || config.TARGETING_ACTIVE_DAYS,
+    platforms: (override.platforms || config.TARGETING_PLATFORMS).map(platform => platform.toLowerCase()),
+    minAppVersion: override.minAppVersion || config.TARGETING_MIN_APP_VERSION
+  };
+}
+
+/**
+ * Why a device is left out by the filters, or null
+ */
+function getFilterReason(device, targeting, now) {
+  if (targeting.platforms.length > 0 && !targeting.platforms.includes(getPlatform(device))) {
+    return 'platform';
+  }
+
+  if (targeting.minAppVersion && (!device.appVersion || compareVersions(device.appVersion, targeting.minAppVersion) < 0)) {
+    return 'app_version';
+  }
+
+  if (targeting.policy === 'active') {
+    const lastActive = getLastActive(device);
+    if (lastActive !== null && lastActive < now - targeting.activeWithinDays * DAY_MS) {
+      return 'inactive';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply a targeting to [deviceId, deviceData] entries
+ *
+ * @returns {{ selected: Array, skipped: Array<{ deviceId, reason }> }}
+ */
+function selectDevices(deviceEntries, targeting, now = Date.now()) {
+  const skipped = [];
+  let selected = deviceEntries.filter(([deviceId, device]) => {
+    const reason = getFilterReason(device, targeting, now);
+    if (reason) skipped.push({ deviceId, reason });
+    return !reason;
+  });
+
+  if (targeting.policy === 'latest' && selected.length > 1) {
+    const latest = selected.reduce((best, entry) =>
+      (getLastActive(entry[1]) || 0) > (getLastActive(best[1]) || 0) ? entry : best
+    );
+
+    selected.filter(entry => entry !== latest)
+      .forEach(([deviceId]) => skipped.push({ deviceId, reason: 'not_latest' }));
+    selected = [latest];
+  }
+
+  return { selected, skipped };
+}
+
+// ========================================
+// PRUNING
+// ========================================
+
+/**
+ * Why a device entry should be removed, or null to keep it
+ */
+function getPruneReason(device, { staleBefore, transports }) {
+  if (!transports.some(transport => transport.supports(device))) {
+    return 'unreachable';
+  }
+
+  const lastActive = getLastActive(device);
+  if (lastActive !== null && lastActive < staleBefore) {
+    return 'stale';
+  }
+
+  return null;
+}
+
+/**
+ * Path of a device entry in the user document: `devices` → `<id>` for the
+ * nested layout, or the literal top-level field `devices.<id>` for the
+ * flattened one. FieldPath segments keep dots in device IDs intact.
+ */
+function getDeviceFieldPath(userData, deviceId) {
+  const { FieldPath } = admin.firestore;
+  const nested = userData.devices && Object.prototype.hasOwnProperty.call(userData.devices, deviceId);
+
+  return nested ? new FieldPath('devices', deviceId) : new FieldPath(`devices.${deviceId}`);
+}
+
+function findPrunable(userData, criteria) {
+  return Object.entries(parseDevices(userData))
+    .map(([deviceId, device]) => ({ deviceId, device, reason: getPruneReason(device || {}, criteria) }))
+    .filter(candidate => candidate.reason);
+}
+
+/**
+ * Remove the prunable devices of one user. The document is re-read in a
+ * transaction, so a device that became active again since the scan stays.
+ */
+async function pruneUser(db, userId, criteria) {
+  const ref = db.collection('users').doc(userId);
+
+  return db.runTransaction(async transaction => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) return [];
+
+    const userData = snapshot.data();
+    const candidates = findPrunable(userData, criteria);
+
+    if (candidates.length > 0) {
+      const deletions = candidates.flatMap(({ deviceId }) => [
+        getDeviceFieldPath(userData, deviceId),
+        admin.firestore.FieldValue.delete()
+      ]);
+      transaction.update(ref, ...deletions);
+    }
+
+    return candidates;
+  });
+}
+
+/**
+ * Scan `users` from `cursor` (a user ID) and remove stale or unreachable
+ * devices, until `limit` users are scanned or the time budget is used up.
+ * With `dryRun` nothing is written: the report lists what would go.
+ *
+ * @returns {{ scanned, usersUpdated, removed: Array, cursor, done }}
+ */
+async function pruneStaleDevices(db, {
+  transports,
+  staleDays = config.DEVICE_STALE_DAYS,
+  dryRun = false,
+  limit = config.DEVICE_PRUNE_MAX_USERS,
+  cursor = null
+}) {
+  const startTime = Date.now();
+  const criteria = { transports, staleBefore: startTime - staleDays * DAY_MS };
+  const report = { scanned: 0, usersUpdated: 0, removed: [], cursor, done: false };
+  const documentId = admin.firestore.FieldPath.documentId();
+
+  while (report.scanned < limit && Date.now() - startTime < config.DEVICE_PRUNE_TIME_BUDGET_MS) {
+    const pageSize = Math.min(config.DEVICE_PRUNE_PAGE_SIZE, limit - report.scanned);
+    let query = db.collection('users').orderBy(documentId);
+    if (report.cursor) {
+      query = query.startAfter(report.cursor);
+    }
+
+    const snapshot = await query.limit(pageSize).get();
+
+    for (const doc of snapshot.docs) {
+      const found = findPrunable(doc.data(), criteria);
+      const removed = found.length === 0 || dryRun ? found : await pruneUser(db, doc.id, criteria);
+
+      if (removed.length > 0) {
+        report.usersUpdated++;
+        removed.forEach(({ deviceId, device, reason }) => {
+          const lastActive = getLastActive(device || {});
+          report.removed.push({
+            userId: doc.id,
+            deviceId,
+            reason,
+            lastActive: lastActive !== null ? new Date(lastActive).toISOString() : null
+          });
+        });
+      }
+    }
+
+    report.scanned += snapshot.docs.length;
+    if (snapshot.docs.length > 0) {
+      report.cursor = snapshot.docs[snapshot.docs.length - 1].id;
+    }
+
+    if (snapshot.docs.length < pageSize) {
+      report.done = true;
+      break;
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  TARGETING_POLICIES,
+  parseDevices,
+  getDeviceFieldPath,
+  getLastActive,
+  compareVersions,
+  resolveTargeting,
+  selectDevices,
+  pruneStaleDevices
+};
@@ -0,0 +1,134 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Typed Errors & Stable Error Codes
+ * ========================================
+ *
+ * Every failure a caller can act on is thrown as a TrovaTaskError with a
+ * stable `code` and the HTTP status it maps to. Responses carry
+ *
+ *   { success: false, error: { code, message, details? } }
+ *
+ * so clients branch on `error.code` instead of parsing messages.
+ * Anything else (bugs, unexpected upstream errors) becomes INTERNAL_ERROR.
+ */
+
+const ERROR_STATUS = {
+  INVALID_PAYLOAD: 400,
+  INVALID_QUERY: 400,
+  TOO_MANY_RECIPIENTS: 400,
+  UNAUTHENTICATED: 401,
+  NOT_CHAT_MEMBER: 403,
+  RECIPIENT_NOT_FOUND: 404,
+  CHAT_NOT_FOUND: 404,
+  SCHEDULE_NOT_FOUND: 404,
+  BROADCAST_NOT_FOUND: 404,
+  SCHEDULE_NOT_PENDING: 409,
+  INTERNAL_ERROR: 500,
+  CONFIG_INVALID: 500,
+  UPSTREAM_UNAVAILABLE: 503
+};
+
+// Firestore (gRPC) codes meaning the backend could not be reached in time
+const UNAVAILABLE_GRPC_CODES = [4, 8, 14]; // DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, UNAVAILABLE
+
+class TrovaTaskError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+    if (details !== undefined) this.details = details;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.details !== undefined && { details: this.details })
+    };
+  }
+}
+
+/**
+ * Malformed input. `details` lists the failing fields: [{ field, message }]
+ */
+class ValidationError extends TrovaTaskError {
+  constructor(message, details, code = 'INVALID_PAYLOAD') {
+    super(code, message, details);
+  }
+}
+
+class AuthenticationError extends TrovaTaskError {
+  constructor(message) {
+    super('UNAUTHENTICATED', message);
+  }
+}
+
+class ForbiddenError extends TrovaTaskError {
+  constructor(message, details, code = 'NOT_CHAT_MEMBER') {
+    super(code, message, details);
+  }
+}
+
+class NotFoundError extends TrovaTaskError {}
+
+class ConflictError extends TrovaTaskError {}
+
+class UpstreamError extends TrovaTaskError {
+  constructor(message, details) {
+    super('UPSTREAM_UNAVAILABLE', message, details);
+  }
+}
+
+/**
+ * Invalid settings or credentials. `details` lists every problem found:
+ * [{ setting, message }]. They are written to the function logs only; the
+ * response names the code without revealing the deployment's configuration.
+ */
+class ConfigError extends TrovaTaskError {
+  constructor(details) {
+    const count = details.length;
+    super('CONFIG_INVALID', `Invalid configuration: ${count} problem${count === 1 ? '' : 's'} found`, details);
+  }
+
+  toJSON() {
+    return { code: this.code, message: 'The function is misconfigured (see the function logs)' };
+  }
+}
+
+/**
+ * Typed version of any thrown value (unknown errors → INTERNAL_ERROR)
+ */
+function toTrovaTaskError(err) {
+  if (err instanceof TrovaTaskError) return err;
+
+  const message = (err && err.message) || String(err);
+
+  if (err && (err.code === 'CIRCUIT_OPEN' || UNAVAILABLE_GRPC_CODES.includes(err.code))) {
+    return new UpstreamError(message);
+  }
+
+  return new TrovaTaskError('INTERNAL_ERROR', message);
+}
+
+/**
+ * Whether retrying the same request cannot succeed (4xx)
+ */
+function isClientError(err) {
+  return err instanceof TrovaTaskError && err.status < 500;
+}
+
+module.exports = {
+  ERROR_STATUS,
+  TrovaTaskError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UpstreamError,
+  ConfigError,
+  toTrovaTaskError,
+  isClientError
+};
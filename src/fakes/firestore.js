@@ -0,0 +1,519 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * In-Memory Firestore
+ * ========================================
+ *
+ * Stand-in for `admin.firestore()` covering what the function relies on:
+ *
+ * - collection(path) / doc(path), doc().collection() (subcollections), add()
+ * - get / set (merge) / create / update (dotted field paths, or field /
+ *   value pairs with FieldPath fields) / delete
+ * - FieldValue.delete / increment / serverTimestamp / arrayUnion / arrayRemove
+ * - where (==, !=, <, <=, >, >=, in, not-in, array-contains[-any]),
+ *   orderBy (field or FieldPath.documentId()), limit, startAfter
+ * - runTransaction (reads before writes, atomic commit, one at a time), batch
+ * - Dates stored as Timestamps, `undefined` values rejected, and the
+ *   gRPC error codes of real failures (5 NOT_FOUND, 6 ALREADY_EXISTS)
+ *
+ * Documents live in `documents` (path → data) and can be seeded:
+ *
+ *   new MemoryFirestore({ 'users/u1': { devices: { d1: { appwriteUserId: 'aw1' } } } })
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const { Timestamp, FieldPath } = admin.firestore;
+
+const DOCUMENT_ID = FieldPath.documentId().formattedName;
+
+const TYPE_ORDER = ['null', 'boolean', 'number', 'timestamp', 'string', 'array', 'map'];
+
+function firestoreError(code, status, message) {
+  const err = new Error(`${code} ${status}: ${message}`);
+  err.code = code;
+  err.details = message;
+  return err;
+}
+
+function autoId() {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  return Array.from(crypto.randomBytes(20), byte => alphabet[byte % alphabet.length]).join('');
+}
+
+function tick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+         !(value instanceof Timestamp) && !(value instanceof Date) && !isTransform(value);
+}
+
+function isTransform(value) {
+  return value !== null && typeof value === 'object' &&
+         typeof value.methodName === 'string' && value.methodName.startsWith('FieldValue.');
+}
+
+// ========================================
+// VALUES
+// ========================================
+
+/**
+ * Stored form of a written value (Dates → Timestamps, deep copy)
+ */
+function toStored(value, field) {
+  if (value === undefined) {
+    throw new Error(`Value for argument "data" is not a valid Firestore document. Cannot use "undefined" as a Firestore value (found in field "${field}").`);
+  }
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map((item, index) => toStored(item, `${field}.${index}`));
+  if (isPlainObject(value)) {
+    const output = {};
+    Object.entries(value).forEach(([key, item]) => {
+      output[key] = toStored(item, field ? `${field}.${key}` : key);
+    });
+    return output;
+  }
+  return value;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const output = {};
+    Object.entries(value).forEach(([key, item]) => { output[key] = clone(item); });
+    return output;
+  }
+  return value;
+}
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Timestamp) return 'timestamp';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'map';
+  return typeof value;
+}
+
+/**
+ * Firestore ordering: by type first, then by value
+ */
+function compareValues(a, b) {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+
+  if (typeA !== typeB) return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  if (typeA === 'timestamp') return a.toMillis() - b.toMillis();
+  if (typeA === 'array' || typeA === 'map') {
+    return JSON.stringify(a) === JSON.stringify(b) ? 0 : (JSON.stringify(a) < JSON.stringify(b) ? -1 : 1);
+  }
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function valuesEqual(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+/**
+ * Apply one written value at `path` (array of keys) inside `data`
+ */
+function writeField(data, path, value, field) {
+  const parents = path.slice(0, -1);
+  const key = path[path.length - 1];
+  let target = data;
+
+  for (const part of parents) {
+    if (!isPlainObject(target[part])) target[part] = {};
+    target = target[part];
+  }
+
+  if (!isTransform(value)) {
+    target[key] = toStored(value, field);
+    return;
+  }
+
+  const current = target[key];
+
+  switch (value.methodName) {
+    case 'FieldValue.delete':
+      delete target[key];
+      break;
+    case 'FieldValue.serverTimestamp':
+      target[key] = Timestamp.now();
+      break;
+    case 'FieldValue.increment':
+      target[key] = (typeof current === 'number' ? current : 0) + value.operand;
+      break;
+    case 'FieldValue.arrayUnion': {
+      const items = Array.isArray(current) ? [...current] : [];
+      value.elements.forEach(item => {
+        if (!items.some(existing => valuesEqual(existing, item))) items.push(toStored(item, field));
+      });
+      target[key] = items;
+      break;
+    }
+    case 'FieldValue.arrayRemove':
+      target[key] = (Array.isArray(current) ? current : [])
+        .filter(existing => !value.elements.some(item => valuesEqual(existing, toStored(item, field))));
+      break;
+    default:
+      throw new Error(`Unsupported field transform: ${value.methodName}`);
+  }
+}
+
+/**
+ * Merge `value` into `data` (set with { merge: true })
+ */
+function mergeFields(data, value, prefix = '') {
+  Object.entries(value).forEach(([key, item]) => {
+    if (isPlainObject(item)) {
+      if (!isPlainObject(data[key])) data[key] = {};
+      mergeFields(data[key], item, `${prefix}${key}.`);
+    } else {
+      writeField(data, [key], item, `${prefix}${key}`);
+    }
+  });
+}
+
+function readField(data, field) {
+  if (data === undefined) return undefined;
+  return String(field).split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+// ========================================
+// SNAPSHOTS & REFERENCES
+// ========================================
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return clone(readField(this._data, field));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this.firestore = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this.firestore, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(this.firestore, `${this.path}/${name}`);
+  }
+
+  async get() {
+    await tick();
+    return this.firestore._snapshot(this);
+  }
+
+  async set(data, options) {
+    await tick();
+    this.firestore._write({ type: 'set', ref: this, data, options });
+  }
+
+  async create(data) {
+    await tick();
+    this.firestore._write({ type: 'create', ref: this, data });
+  }
+
+  async update(data, ...moreFieldsAndValues) {
+    await tick();
+    this.firestore._write({ type: 'update', ref: this, data: updateFields(data, moreFieldsAndValues) });
+  }
+
+  async delete() {
+    await tick();
+    this.firestore._write({ type: 'delete', ref: this });
+  }
+}
+
+class Query {
+  constructor(db, path, { filters = [], orderings = [], limit = null, cursor = null } = {}) {
+    this.firestore = db;
+    this.path = path;
+    this._query = { filters, orderings, limit, cursor };
+  }
+
+  _with(changes) {
+    return new Query(this.firestore, this.path, { ...this._query, ...changes });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._query.filters, { field: fieldName(field), op, value: toStored(value, String(field)) }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orderings: [...this._query.orderings, { field: fieldName(field), direction }] });
+  }
+
+  limit(count) {
+    return this._with({ limit: count });
+  }
+
+  startAfter(...values) {
+    return this._with({ cursor: values });
+  }
+
+  async get() {
+    await tick();
+    return new QuerySnapshot(this.firestore._runQuery(this));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = autoId()) {
+    return new DocumentReference(this.firestore, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.create(data);
+    return ref;
+  }
+}
+
+function fieldName(field) {
+  return field instanceof FieldPath ? field.formattedName : String(field);
+}
+
+/**
+ * update() arguments → [[segments, value, name]]: a map of dotted paths,
+ * or field / value pairs whose fields may be FieldPaths (segments are
+ * taken as-is, dots included)
+ */
+function updateFields(dataOrField, moreFieldsAndValues) {
+  if (isPlainObject(dataOrField) && !(dataOrField instanceof FieldPath)) {
+    return Object.entries(dataOrField).map(([field, value]) => [field.split('.'), value, field]);
+  }
+
+  const pairs = [dataOrField, ...moreFieldsAndValues];
+  const fields = [];
+  for (let index = 0; index < pairs.length; index += 2) {
+    const field = pairs[index];
+    const segments = field instanceof FieldPath ? field.segments : String(field).split('.');
+    fields.push([segments, pairs[index + 1], fieldName(field)]);
+  }
+  return fields;
+}
+
+function fieldValue(snapshot, field) {
+  return field === DOCUMENT_ID ? snapshot.id : readField(snapshot._data, field);
+}
+
+function matchesFilter(snapshot, { field, op, value }) {
+  const current = fieldValue(snapshot, field);
+
+  switch (op) {
+    case '==': return current !== undefined && valuesEqual(current, value);
+    case '!=': return current !== undefined && current !== null && !valuesEqual(current, value);
+    case '<': return current !== undefined && typeOf(current) === typeOf(value) && compareValues(current, value) < 0;
+    case '<=': return current !== undefined && typeOf(current) === typeOf(value) && compareValues(current, value) <= 0;
+    case '>': return current !== undefined && typeOf(current) === typeOf(value) && compareValues(current, value) > 0;
+    case '>=': return current !== undefined && typeOf(current) === typeOf(value) && compareValues(current, value) >= 0;
+    case 'in': return current !== undefined && value.some(item => valuesEqual(current, item));
+    case 'not-in': return current !== undefined && current !== null && !value.some(item => valuesEqual(current, item));
+    case 'array-contains': return Array.isArray(current) && current.some(item => valuesEqual(item, value));
+    case 'array-contains-any': return Array.isArray(current) && current.some(item => value.some(v => valuesEqual(item, v)));
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+// ========================================
+// TRANSACTIONS & BATCHES
+// ========================================
+
+class WriteBatch {
+  constructor(db) {
+    this.firestore = db;
+    this.writes = [];
+  }
+
+  set(ref, data, options) { this.writes.push({ type: 'set', ref, data, options }); return this; }
+  create(ref, data) { this.writes.push({ type: 'create', ref, data }); return this; }
+  update(ref, data, ...moreFieldsAndValues) {
+    this.writes.push({ type: 'update', ref, data: updateFields(data, moreFieldsAndValues) });
+    return this;
+  }
+  delete(ref) { this.writes.push({ type: 'delete', ref }); return this; }
+
+  async commit() {
+    await tick();
+    this.firestore._commit(this.writes);
+    return this.writes.map(() => ({ writeTime: Timestamp.now() }));
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    if (this.writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    return refOrQuery.get();
+  }
+}
+
+// ========================================
+// DATABASE
+// ========================================
+
+class MemoryFirestore {
+  constructor(seed = {}) {
+    this.documents = new Map();
+    this.transactionQueue = Promise.resolve();
+
+    Object.entries(seed).forEach(([path, data]) => {
+      this.documents.set(path, toStored(data, ''));
+    });
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  /**
+   * Transactions run one at a time, so read-modify-write is atomic
+   */
+  runTransaction(updateFunction) {
+    const run = this.transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      this._commit(transaction.writes);
+      return result;
+    });
+
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  _snapshot(ref) {
+    return new DocumentSnapshot(ref, this.documents.get(ref.path));
+  }
+
+  _write({ type, ref, data, options }) {
+    const existing = this.documents.get(ref.path);
+
+    if (type === 'delete') {
+      this.documents.delete(ref.path);
+      return;
+    }
+
+    if (type === 'create' && existing !== undefined) {
+      throw firestoreError(6, 'ALREADY_EXISTS', `Document already exists: ${ref.path}`);
+    }
+
+    if (type === 'update' && existing === undefined) {
+      throw firestoreError(5, 'NOT_FOUND', `No document to update: ${ref.path}`);
+    }
+
+    const next = type === 'update' || (options && options.merge) ? clone(existing || {}) : {};
+
+    if (type === 'update') {
+      data.forEach(([segments, value, field]) => writeField(next, segments, value, field));
+    } else {
+      mergeFields(next, data);
+    }
+
+    this.documents.set(ref.path, next);
+  }
+
+  /**
+   * Apply writes all-or-nothing
+   */
+  _commit(writes) {
+    const before = new Map(this.documents);
+
+    try {
+      writes.forEach(write => this._write(write));
+    } catch (err) {
+      this.documents = before;
+      throw err;
+    }
+  }
+
+  _runQuery(query) {
+    const { filters, orderings, limit, cursor } = query._query;
+    const depth = query.path.split('/').length + 1;
+
+    // Documents directly in this collection (not in its subcollections)
+    let snapshots = Array.from(this.documents.keys())
+      .filter(path => path.startsWith(`${query.path}/`) && path.split('/').length === depth)
+      .map(path => this._snapshot(new DocumentReference(this, path)))
+      .filter(snapshot => filters.every(filter => matchesFilter(snapshot, filter)));
+
+    // Ordered fields must exist; the document ID always breaks ties
+    const order = [...orderings];
+    if (!order.some(o => o.field === DOCUMENT_ID)) {
+      order.push({ field: DOCUMENT_ID, direction: order.length > 0 ? order[order.length - 1].direction : 'asc' });
+    }
+
+    snapshots = snapshots.filter(snapshot => order.every(o => fieldValue(snapshot, o.field) !== undefined));
+
+    const compare = (a, b) => {
+      for (let i = 0; i < a.length; i++) {
+        const result = compareValues(a[i], b[i]) * (order[i].direction === 'desc' ? -1 : 1);
+        if (result !== 0) return result;
+      }
+      return 0;
+    };
+    const key = snapshot => order.map(o => fieldValue(snapshot, o.field));
+
+    snapshots.sort((a, b) => compare(key(a), key(b)));
+
+    if (cursor) {
+      const after = cursor.length === 1 && cursor[0] instanceof DocumentSnapshot
+        ? key(cursor[0])
+        : cursor.map(value => toStored(value, ''));
+
+      snapshots = snapshots.filter(snapshot => compare(key(snapshot).slice(0, after.length), after) > 0);
+    }
+
+    return limit === null ? snapshots : snapshots.slice(0, limit);
+  }
+}
+
+module.exports = {
+  MemoryFirestore
+};
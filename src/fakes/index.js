@@ -0,0 +1,43 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * In-Memory Clients
+ * ========================================
+ *
+ * Offline stand-ins for the Firebase and Appwrite clients, for tests and
+ * local runs without network access:
+ *
+ *   const { createMemoryClients } = require('./src/fakes');
+ *   const { createHandler } = require('./src/main');
+ *
+ *   const clients = createMemoryClients({ documents: { 'users/u1': { ... } } });
+ *   const handler = createHandler({ clients });
+ *
+ *   clients.messaging.pushes   → every createPush call
+ *   clients.db.documents       → Firestore state after the run
+ */
+
+const { MemoryFirestore } = require('./firestore');
+const { MemoryMessaging, MemoryFcm } = require('./messaging');
+
+/**
+ * { db, messaging, fcm } backed by memory
+ *
+ * @param {Object} options
+ * @param {Object} options.documents - initial Firestore documents (path → data)
+ * @param {number} options.latencyMs - delay of every push
+ */
+function createMemoryClients({ documents = {}, latencyMs = 0 } = {}) {
+  return {
+    db: new MemoryFirestore(documents),
+    messaging: new MemoryMessaging({ latencyMs }),
+    fcm: new MemoryFcm({ latencyMs })
+  };
+}
+
+module.exports = {
+  MemoryFirestore,
+  MemoryMessaging,
+  MemoryFcm,
+  createMemoryClients
+};
@@ -0,0 +1,168 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * In-Memory Messaging (Appwrite & FCM)
+ * ========================================
+ *
+ * Stand-ins recording every push instead of sending it:
+ *
+ * - MemoryMessaging: Appwrite `Messaging` (createPush), with its
+ *   AppwriteException codes: 404 for a removed user or target, 409 for a
+ *   reused message ID
+ * - MemoryFcm: firebase-admin `messaging()` (send), with
+ *   `messaging/registration-token-not-registered` for removed tokens
+ *
+ * Both accept { latencyMs } (slow upstream, e.g. to trigger the early
+ * response) and failNext(code, { times, message }) to make the next sends
+ * fail with a given error code (429, 503, 'messaging/server-unavailable', ...).
+ */
+
+const crypto = require('crypto');
+const sdk = require('node-appwrite');
+
+// createPush parameters, in call order (node-appwrite Messaging)
+const PUSH_PARAMS = [
+  'messageId', 'title', 'body', 'topics', 'users', 'targets', 'data', 'action',
+  'image', 'icon', 'sound', 'color', 'tag', 'badge', 'draft', 'scheduledAt'
+];
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Queue of injected failures shared by both stand-ins
+ */
+class FailureQueue {
+  constructor() {
+    this.failures = [];
+  }
+
+  add(code, { times = 1, message = `Injected failure ${code}` } = {}) {
+    this.failures.push({ code, message, remaining: times });
+  }
+
+  take() {
+    const failure = this.failures[0];
+    if (!failure) return null;
+
+    failure.remaining--;
+    if (failure.remaining <= 0) this.failures.shift();
+    return failure;
+  }
+}
+
+// ========================================
+// APPWRITE MESSAGING
+// ========================================
+
+class MemoryMessaging {
+  constructor({ latencyMs = 0 } = {}) {
+    this.latencyMs = latencyMs;
+    this.pushes = [];
+    this.removedUsers = new Set();
+    this.removedTargets = new Set();
+    this.failureQueue = new FailureQueue();
+  }
+
+  /**
+   * The user (or target) was deleted in Appwrite: pushes to it fail with 404
+   */
+  removeUser(userId) {
+    this.removedUsers.add(userId);
+  }
+
+  removeTarget(targetId) {
+    this.removedTargets.add(targetId);
+  }
+
+  failNext(code, options) {
+    this.failureQueue.add(code, options);
+  }
+
+  async createPush(...args) {
+    const params = {};
+    PUSH_PARAMS.forEach((name, index) => { params[name] = args[index]; });
+
+    await delay(this.latencyMs);
+
+    const failure = this.failureQueue.take();
+    if (failure) {
+      throw new sdk.AppwriteException(failure.message, failure.code, 'general_injected');
+    }
+
+    const missingUser = (params.users || []).find(userId => this.removedUsers.has(userId));
+    if (missingUser) {
+      throw new sdk.AppwriteException('User with the requested ID could not be found.', 404, 'user_not_found');
+    }
+
+    const missingTarget = (params.targets || []).find(targetId => this.removedTargets.has(targetId));
+    if (missingTarget) {
+      throw new sdk.AppwriteException('Target with the requested ID could not be found.', 404, 'target_not_found');
+    }
+
+    const $id = params.messageId === 'unique()' ? crypto.randomBytes(10).toString('hex') : params.messageId;
+
+    if (this.pushes.some(push => push.$id === $id)) {
+      throw new sdk.AppwriteException('Message with the requested ID already exists.', 409, 'message_already_exists');
+    }
+
+    const push = { $id, ...params, $createdAt: new Date().toISOString() };
+    this.pushes.push(push);
+
+    return { $id, status: params.draft ? 'draft' : 'processing', providerType: 'push' };
+  }
+}
+
+// ========================================
+// FIREBASE CLOUD MESSAGING
+// ========================================
+
+class MemoryFcm {
+  constructor({ latencyMs = 0 } = {}) {
+    this.latencyMs = latencyMs;
+    this.messages = [];
+    this.removedTokens = new Set();
+    this.failureQueue = new FailureQueue();
+  }
+
+  /**
+   * The app was uninstalled: sends to the token fail as not registered
+   */
+  unregisterToken(token) {
+    this.removedTokens.add(token);
+  }
+
+  failNext(code, options) {
+    this.failureQueue.add(code, options);
+  }
+
+  async send(message) {
+    await delay(this.latencyMs);
+
+    const failure = this.failureQueue.take();
+    if (failure) {
+      throw fcmError(failure.code, failure.message);
+    }
+
+    if (this.removedTokens.has(message.token)) {
+      throw fcmError('messaging/registration-token-not-registered', 'Requested entity was not found.');
+    }
+
+    const name = `projects/memory/messages/${crypto.randomBytes(8).toString('hex')}`;
+    this.messages.push({ name, ...message });
+    return name;
+  }
+}
+
+function fcmError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.errorInfo = { code, message };
+  return err;
+}
+
+module.exports = {
+  MemoryMessaging,
+  MemoryFcm
+};
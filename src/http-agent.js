@@ -10,6 +10,7 @@
 
 const http = require('http');
 const https = require('https');
+const { getLogger } = require('./logger');
 
 // ✅ OPTIMIZATION: HTTP Keep-Alive Agent
 const httpAgent = new http.Agent({
@@ -29,6 +30,6 @@ const httpsAgent = new https.Agent({
   timeout: 60000,
 });
 
-console.log('✅ HTTP/HTTPS agents initialized with keep-alive');
+getLogger().debug('http.agents_initialized', { keepAlive: true });
 
 module.exports = { httpAgent, httpsAgent };
@@ -0,0 +1,286 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Notification Kind Registry
+ * ========================================
+ *
+ * Every push belongs to a kind, selected by the event's `kind` field
+ * (events without one are chat messages, e.g. the messages.create trigger).
+ * A kind defines:
+ *
+ *   fields              → schema of the kind's input fields (see schema.js)
+ *   format(event, ctx)  → localized { title, body } (ctx: senderName, count, locale, timeZone)
+ *   route(event)        → deep-link path, opened as `${DEEP_LINK_SCHEME}://<route>`
+ *   data(event)         → kind-specific entries of the data payload
+ *   tag(event)          → collapse tag (pushes with the same tag replace each other)
+ *   profile(event)      → presentation profile key
+ *   subject(event)      → short description used in logs
+ *   eventId(event)      → idempotency / delivery log reference
+ *   priority            → default priority lane (see priority.js, `normal` if unset)
+ *
+ * Only chat kinds resolve recipients from the chat, honor muted chats,
+ * collapse bursts and count unread messages (`chat: true`); every other
+ * kind needs an explicit `recipientId` or `recipientIds`.
+ */
+
+const {
+  formatNotification,
+  formatTemplate,
+  clampNotification,
+  formatAmount,
+  formatDateTime,
+  translate
+} = require('./templates');
+const { getCollapseTag } = require('./collapse');
+const { getMessageTypes } = require('./presentation');
+const { isBlank, validate, EVENT_FIELDS } = require('./schema');
+const { DEFAULT_PRIORITY } = require('./priority');
+const config = require('./config');
+
+const DEFAULT_KIND = 'chat_message';
+
+const PAYMENT_STATUSES = ['received', 'sent', 'failed', 'refunded'];
+
+// ========================================
+// FIELDS
+// ========================================
+
+const TASK_TITLE = { type: 'string', required: true, maxLength: config.EVENT_TITLE_MAX_LENGTH };
+const TASK_STATUS = { type: 'string', maxLength: 64 };
+
+/**
+ * Localized task status ("in_progress" → "in progress"), raw value when unknown
+ */
+function statusLabel(status, locale) {
+  const key = `task.status.${status}`;
+  const label = translate(key, {}, locale);
+  return label === key ? String(status) : label;
+}
+
+// ========================================
+// REGISTRY
+// ========================================
+
+const KINDS = {
+  chat_message: {
+    chat: true,
+    priority: 'high',
+    fields: {
+      chatId: { type: 'id', required: true },
+      messageId: { type: 'id' },
+      text: { type: 'string', maxLength: config.EVENT_TEXT_MAX_LENGTH },
+      type: { type: 'string', enum: getMessageTypes }
+    },
+    format: (event, { senderName, count, locale }) =>
+      formatNotification(event.type || 'text', { text: event.text, senderName, count }, locale),
+    route: event => `chat/${event.chatId}`,
+    data: event => ({
+      chatId: event.chatId,
+      messageId: event.messageId,
+      messageType: event.type || 'text'
+    }),
+    tag: event => getCollapseTag(event.chatId),
+    profile: event => event.type || 'text',
+    subject: event => `chat ${event.chatId}`,
+    eventId: event => event.messageId
+  },
+
+  task_assigned: {
+    fields: {
+      taskId: { type: 'id', required: true },
+      taskTitle: TASK_TITLE
+    },
+    format: (event, { senderName, locale }) => formatTemplate('task_assigned', {
+      senderName: senderName || translate('sender.unknown', {}, locale),
+      taskTitle: event.taskTitle
+    }, locale),
+    route: event => `task/${event.taskId}`,
+    data: event => ({ taskId: event.taskId, taskTitle: event.taskTitle }),
+    tag: event => `task_${event.taskId}`,
+    subject: event => `task ${event.taskId}`
+  },
+
+  task_status_changed: {
+    fields: {
+      taskId: { type: 'id', required: true },
+      taskTitle: TASK_TITLE,
+      status: { ...TASK_STATUS, required: true },
+      previousStatus: TASK_STATUS
+    },
+    format: (event, { locale }) => formatTemplate('task_status_changed', {
+      taskTitle: event.taskTitle,
+      status: statusLabel(event.status, locale)
+    }, locale),
+    route: event => `task/${event.taskId}`,
+    data: event => ({
+      taskId: event.taskId,
+      taskTitle: event.taskTitle,
+      status: event.status,
+      previousStatus: event.previousStatus
+    }),
+    tag: event => `task_${event.taskId}`,
+    subject: event => `task ${event.taskId} → ${event.status}`
+  },
+
+  task_due_reminder: {
+    fields: {
+      taskId: { type: 'id', required: true },
+      taskTitle: TASK_TITLE,
+      dueAt: { type: 'date', required: true }
+    },
+    format: (event, { locale, timeZone }) => formatTemplate('task_due_reminder', {
+      taskTitle: event.taskTitle,
+      dueAt: formatDateTime(event.dueAt, locale, timeZone)
+    }, locale),
+    route: event => `task/${event.taskId}`,
+    data: event => ({
+      taskId: event.taskId,
+      taskTitle: event.taskTitle,
+      dueAt: new Date(event.dueAt).toISOString()
+    }),
+    tag: event => `task_due_${event.taskId}`,
+    subject: event => `task ${event.taskId} due ${event.dueAt}`
+  },
+
+  payment_event: {
+    priority: 'high',
+    fields: {
+      paymentId: { type: 'id', required: true },
+      paymentStatus: { type: 'string', required: true, enum: PAYMENT_STATUSES },
+      amount: { type: 'number', required: true },
+      currency: { type: 'string', required: true, pattern: /^[A-Za-z]{3}$/, format: 'an ISO 4217 code' }
+    },
+    format: (event, { locale }) => formatTemplate(`payment_event.${event.paymentStatus}`, {
+      amount: formatAmount(event.amount, String(event.currency).toUpperCase(), locale)
+    }, locale),
+    route: event => `payments/${event.paymentId}`,
+    data: event => ({
+      paymentId: event.paymentId,
+      paymentStatus: event.paymentStatus,
+      amount: event.amount,
+      currency: String(event.currency).toUpperCase()
+    }),
+    tag: event => `payment_${event.paymentId}`,
+    subject: event => `payment ${event.paymentId} ${event.paymentStatus}`
+  },
+
+  system_announcement: {
+    priority: 'bulk',
+    fields: {
+      title: { type: 'string', required: true, maxLength: config.EVENT_TITLE_MAX_LENGTH },
+      body: { type: 'string', required: true, maxLength: config.EVENT_BODY_MAX_LENGTH },
+      announcementId: { type: 'id' },
+      // { "it": { "title": "...", "body": "..." }, ... }
+      translations: {
+        type: 'object',
+        values: {
+          type: 'object',
+          properties: {
+            title: { type: 'string', maxLength: config.EVENT_TITLE_MAX_LENGTH },
+            body: { type: 'string', maxLength: config.EVENT_BODY_MAX_LENGTH }
+          }
+        }
+      }
+    },
+    // Announcements bring their own copy, optionally per locale
+    format: (event, { locale }) => {
+      const translations = event.translations || {};
+      const localized = translations[locale] || translations[String(locale).split('-')[0]] || {};
+      return clampNotification({
+        title: localized.title || event.title,
+        body: localized.body || event.body
+      });
+    },
+    route: event => event.announcementId ? `announcements/${event.announcementId}` : 'announcements',
+    data: event => ({ announcementId: event.announcementId }),
+    tag: event => event.announcementId ? `announcement_${event.announcementId}` : undefined,
+    subject: event => `announcement ${event.announcementId || event.title}`
+  }
+};
+
+// ========================================
+// LOOKUP & VALIDATION
+// ========================================
+
+/**
+ * Kind name of an event (`kind` field, chat message by default)
+ */
+function getKindName(event) {
+  return event.kind || DEFAULT_KIND;
+}
+
+/**
+ * Kind definition with defaults filled in, or null for unknown kinds
+ */
+function getKind(name) {
+  if (!Object.prototype.hasOwnProperty.call(KINDS, name)) return null;
+
+  const kind = KINDS[name];
+
+  return {
+    name,
+    chat: false,
+    priority: DEFAULT_PRIORITY,
+    profile: () => name,
+    eventId: event => event.eventId,
+    ...kind
+  };
+}
+
+/**
+ * Validate an event against the shared fields and its kind's schema.
+ * Returns { kind, errors } with errors as [{ field, message }] (kind is
+ * null for unknown kinds).
+ * Broadcasts pass `recipients: false` (their target supplies the recipients).
+ */
+function validateEvent(event, { recipients = true } = {}) {
+  const name = getKindName(event);
+  const kind = getKind(name);
+
+  if (!kind) {
+    return {
+      kind: null,
+      errors: [{
+        field: 'kind',
+        message: `Unknown notification kind: ${name} (expected one of ${Object.keys(KINDS).join(', ')})`
+      }]
+    };
+  }
+
+  const errors = validate(event, { ...EVENT_FIELDS, ...kind.fields });
+
+  const hasRecipients = (Array.isArray(event.recipientIds) && event.recipientIds.length > 0) ||
+                        !isBlank(event.recipientId);
+
+  if (recipients && !kind.chat && !hasRecipients) {
+    errors.push({ field: 'recipientId', message: 'Missing required field: recipientId or recipientIds' });
+  }
+
+  if (kind.chat && config.AUTHORIZE_CHAT_MEMBERS && isBlank(event.senderId)) {
+    errors.push({ field: 'senderId', message: 'Missing required field: senderId (needed to verify chat membership)' });
+  }
+
+  return { kind, errors };
+}
+
+/**
+ * Data payload entries of a kind, stringified (FCM / Appwrite data values
+ * must be strings) with empty values left out
+ */
+function buildKindData(kind, event) {
+  return Object.fromEntries(
+    Object.entries(kind.data(event))
+      .filter(([, value]) => !isBlank(value))
+      .map(([key, value]) => [key, String(value)])
+  );
+}
+
+module.exports = {
+  DEFAULT_KIND,
+  PAYMENT_STATUSES,
+  getKindName,
+  getKind,
+  validateEvent,
+  buildKindData,
+  kinds: Object.keys(KINDS)
+};
@@ -0,0 +1,225 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Structured Logging & Redaction
+ * ========================================
+ *
+ * Every log entry is one JSON line:
+ *
+ *   {"level":"info","time":"...","requestId":"9f2c41d07a3e","event":"device.sent","transport":"appwrite",...}
+ *
+ * An invocation runs inside a logger scope (runWithLogger) that carries its
+ * correlation ID and the Appwrite `log` / `error` callbacks, so any module
+ * can call getLogger() without threading a logger through every function.
+ * Outside a scope (cold start) entries go to the console.
+ *
+ * Entries below LOG_LEVEL are skipped. Before writing, message content
+ * (LOG_CONTENT_FIELDS) and personal identifiers (LOG_IDENTIFIER_FIELDS)
+ * are dropped or hashed, at any depth:
+ *
+ *   LOG_REDACT_CONTENT      drop (default) | hash | none
+ *   LOG_REDACT_IDENTIFIERS  hash (default) | drop | none
+ *
+ * Hashes are stable (salted with LOG_HASH_SALT), so one user's entries
+ * can still be correlated without revealing the UID.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTION_POLICIES = ['drop', 'hash', 'none'];
+
+const CONTENT_FIELDS = new Set(config.LOG_CONTENT_FIELDS);
+const IDENTIFIER_FIELDS = new Set(config.LOG_IDENTIFIER_FIELDS);
+
+const scope = new AsyncLocalStorage();
+
+const CONSOLE_SINK = {
+  log: line => console.log(line),
+  error: line => console.error(line)
+};
+
+function resolveLevel(level) {
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : 'info';
+}
+
+function resolvePolicy(policy, fallback) {
+  return REDACTION_POLICIES.includes(policy) ? policy : fallback;
+}
+
+const contentPolicy = resolvePolicy(config.LOG_REDACT_CONTENT, 'drop');
+const identifierPolicy = resolvePolicy(config.LOG_REDACT_IDENTIFIERS, 'hash');
+
+// ========================================
+// REDACTION
+// ========================================
+
+function hashValue(value) {
+  const digest = crypto.createHash('sha256')
+    .update(`${config.LOG_HASH_SALT}${String(value)}`)
+    .digest('hex');
+  return `h:${digest.substring(0, 12)}`;
+}
+
+function applyPolicy(value, policy) {
+  if (policy === 'none') return value;
+  if (policy === 'drop') return undefined;
+
+  if (Array.isArray(value)) {
+    return value.map(item => (item && typeof item === 'object' ? redact(item) : hashValue(item)));
+  }
+
+  return value && typeof value === 'object' ? redact(value) : hashValue(value);
+}
+
+/**
+ * Copy of `value` with content dropped / identifiers hashed (per policy)
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  const output = {};
+
+  Object.entries(value).forEach(([key, item]) => {
+    let redacted;
+
+    if (item === undefined || item === null) {
+      redacted = item;
+    } else if (CONTENT_FIELDS.has(key)) {
+      redacted = applyPolicy(item, contentPolicy);
+    } else if (IDENTIFIER_FIELDS.has(key)) {
+      redacted = applyPolicy(item, identifierPolicy);
+    } else {
+      redacted = redact(item);
+    }
+
+    if (redacted !== undefined) {
+      output[key] = redacted;
+    }
+  });
+
+  return output;
+}
+
+/**
+ * Loggable form of an error (the stack only at debug level)
+ */
+function serializeError(err, level) {
+  if (!(err instanceof Error)) return { message: String(err) };
+
+  return {
+    name: err.name,
+    ...(err.code !== undefined && { code: err.code }),
+    message: err.message,
+    ...(err.details !== undefined && { details: err.details }),
+    ...(LEVELS[level] <= LEVELS.debug && { stack: err.stack })
+  };
+}
+
+// ========================================
+// LOGGER
+// ========================================
+
+class Logger {
+  /**
+   * @param {{ log: Function, error: Function }} sink - Appwrite context callbacks
+   * @param {Object} fields - fields added to every entry (requestId, ...)
+   */
+  constructor(sink = CONSOLE_SINK, fields = {}, level = config.LOG_LEVEL) {
+    this.sink = sink;
+    this.fields = fields;
+    this.level = resolveLevel(level);
+  }
+
+  child(fields) {
+    return new Logger(this.sink, { ...this.fields, ...fields }, this.level);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  write(level, event, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const { err, ...rest } = fields;
+    const entry = redact({
+      level,
+      time: new Date().toISOString(),
+      ...this.fields,
+      event,
+      ...rest,
+      ...(err !== undefined && { err: serializeError(err, this.level) })
+    });
+
+    const write = level === 'warn' || level === 'error' ? this.sink.error : this.sink.log;
+
+    try {
+      write(JSON.stringify(entry));
+    } catch (sinkErr) {
+      // A closed execution context must never break delivery
+      CONSOLE_SINK.error(JSON.stringify(entry));
+    }
+  }
+
+  debug(event, fields) { this.write('debug', event, fields); }
+  info(event, fields) { this.write('info', event, fields); }
+  warn(event, fields) { this.write('warn', event, fields); }
+  error(event, fields) { this.write('error', event, fields); }
+}
+
+const rootLogger = new Logger();
+
+// ========================================
+// REQUEST SCOPE
+// ========================================
+
+/**
+ * Correlation ID: the caller's `x-request-id` (when it is a plausible ID)
+ * or a new random one
+ */
+function createRequestId(headers = {}) {
+  const incoming = headers[config.LOG_REQUEST_ID_HEADER];
+
+  return typeof incoming === 'string' && /^[A-Za-z0-9._:-]{1,64}$/.test(incoming)
+    ? incoming
+    : crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Logger for an invocation, writing through the Appwrite context callbacks
+ */
+function createLogger({ log, error } = {}, fields = {}) {
+  const sink = log && error ? { log, error } : CONSOLE_SINK;
+  return new Logger(sink, fields);
+}
+
+/**
+ * Run `fn` with `logger` as the current logger (and its requestId as the
+ * correlation ID of everything it does, background work included)
+ */
+function runWithLogger(logger, fn) {
+  return scope.run(logger, fn);
+}
+
+function getLogger() {
+  return scope.getStore() || rootLogger;
+}
+
+function getRequestId() {
+  const logger = scope.getStore();
+  return logger ? logger.fields.requestId || null : null;
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  createRequestId,
+  runWithLogger,
+  getLogger,
+  getRequestId,
+  redact
+};
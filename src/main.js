@@ -24,82 +24,563 @@
  * ========================================
  */
 
-const { handleNotification } = require('./notification');
+const {
+  handleNotification,
+  sweepOutbox,
+  getDeliveryLog,
+  pruneDevices,
+  markRead,
+  scheduleLater,
+  cancelLater,
+  rescheduleLater,
+  processScheduled,
+  startBroadcast,
+  runBroadcast,
+  resumeBroadcasts,
+  getBroadcastProgress
+} = require('./notification');
+const { validateEvent } = require('./kinds');
+const { isScheduled } = require('./scheduler');
+const { authenticate } = require('./auth');
+const {
+  validate,
+  READ_RECEIPT_SCHEMA,
+  SCHEDULE_CHANGE_SCHEMA,
+  BROADCAST_REF_SCHEMA,
+  PRUNE_SCHEMA
+} = require('./schema');
+const {
+  ValidationError,
+  AuthenticationError,
+  UpstreamError,
+  ConfigError,
+  toTrovaTaskError,
+  isClientError
+} = require('./errors');
+const {
+  createLogger,
+  createRequestId,
+  runWithLogger,
+  getRequestId
+} = require('./logger');
+const { CONTENT_TYPE, renderMetrics } = require('./metrics');
+const { runWithClients } = require('./clients');
+const { toMillis } = require('./utils');
+const config = require('./config');
 
-module.exports = async ({ req, res, log, error }) => {
-  const startTime = Date.now();
-  const requestId = Math.random().toString(36).substring(7);
+/**
+ * Parse the JSON request body (INVALID_PAYLOAD when malformed)
+ */
+function parseBody(req) {
+  try {
+    return JSON.parse(req.bodyRaw || '{}');
+  } catch (err) {
+    throw new ValidationError(`Request body is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Throw INVALID_PAYLOAD listing every failing field
+ */
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw new ValidationError(errors[0].message, errors);
+  }
+}
+
+/**
+ * Error response { success: false, error: { code, message, details? } }
+ * with the HTTP status of the error code
+ */
+function sendError(res, err, extra = {}) {
+  const failure = toTrovaTaskError(err);
   
-  log(`========================================`);
-  log(`🚀 TrovaTask Push Notification v18.1 PRO`);
-  log(`⏰ Request ID: ${requestId}`);
-  log(`⏰ Started: ${new Date().toISOString()}`);
-  log(`========================================`);
+  return res.json({
+    success: false,
+    ...extra,
+    error: failure.toJSON(),
+    timestamp: new Date().toISOString(),
+    requestId: getRequestId()
+  }, failure.status);
+}
+
+/**
+ * Log a failed request: client errors at warn, anything else at error
+ * (with the stack at debug level). Returns the typed error.
+ */
+function logFailure(logger, event, err) {
+  const failure = toTrovaTaskError(err);
+  logger[isClientError(failure) ? 'warn' : 'error'](event, { errorCode: failure.code, err });
+  return failure;
+}
+
+/**
+ * Notification entrypoint (message create event or direct HTTP call).
+ * The event's `kind` (chat message by default) selects the validation rules.
+ * POST /preview (or `dryRun: true`) renders the pushes without sending them.
+ */
+async function handleNotify({ req, res, logger }) {
+  const startTime = Date.now();
   
   try {
     // Parse request
-    const eventData = JSON.parse(req.bodyRaw || '{}');
-    
-    log(`📨 Event data received:`);
-    log(`→ Recipient: ${eventData.recipientId}`);
-    log(`→ Sender: ${eventData.senderId}`);
-    log(`→ Chat ID: ${eventData.chatId}`);
-    log(`→ Type: ${eventData.type || 'text'}`);
-    log(`→ Message: ${eventData.text ? (eventData.text.substring(0, 50) + (eventData.text.length > 50 ? '...' : '')) : 'N/A'}`);
-    
-    // Quick validation
-    if (!eventData.recipientId || !eventData.chatId) {
-      log(`❌ Validation failed: Missing required fields`);
-      return res.json({
-        success: false,
-        error: 'Missing required fields: recipientId or chatId'
-      }, 400);
+    const eventData = parseBody(req);
+    const dryRun = req.path === '/preview' || eventData.dryRun === true;
+    
+    // Dispatch on the notification kind and validate its fields
+    const { kind, errors } = validateEvent(eventData);
+    
+    logger.info('notify.received', {
+      kind: kind ? kind.name : eventData.kind,
+      ...(kind && kind.chat && { chatId: eventData.chatId, messageType: eventData.type || 'text' }),
+      senderId: eventData.senderId,
+      recipientId: eventData.recipientId,
+      ...(Array.isArray(eventData.recipientIds) && { recipientCount: eventData.recipientIds.length }),
+      scheduled: isScheduled(eventData),
+      ...(dryRun && { dryRun })
+    });
+    
+    if (errors.length > 0) {
+      logger.warn('notify.invalid', { errors });
+      return sendError(res, new ValidationError(errors[0].message, errors), {
+        duration: `${Date.now() - startTime}ms`
+      });
     }
     
-    log(`✅ Validation passed`);
-    log(`📤 Sending notifications...`);
+    // Later delivery: store it and return the ID used to cancel / reschedule
+    // (dry runs preview it right away)
+    if (isScheduled(eventData) && !dryRun) {
+      const scheduled = await scheduleLater(eventData);
+      
+      logger.info('notify.scheduled', {
+        scheduleId: scheduled.id,
+        sendAt: scheduled.sendAt.toISOString(),
+        ...(scheduled.condition && { condition: scheduled.condition.type })
+      });
+      
+      return res.json({
+        success: true,
+        status: 'scheduled',
+        scheduleId: scheduled.id,
+        sendAt: scheduled.sendAt.toISOString(),
+        condition: scheduled.condition,
+        duration: `${Date.now() - startTime}ms`,
+        timestamp: new Date().toISOString(),
+        requestId: getRequestId()
+      }, 202);
+    }
     
     // Handle notification
-    const result = await handleNotification(eventData);
-    
+    const result = await handleNotification(eventData, { dryRun });
     const duration = Date.now() - startTime;
     
-    log(`========================================`);
-    log(`✅ Request completed successfully`);
-    log(`⏱️  Duration: ${duration}ms`);
-    
-    if (result.status === 'delivering') {
-      log(`⚡ Early response sent (background processing)`);
-      log(`📱 Devices: ${result.devices} total`);
-    } else if (result.devices) {
-      log(`📱 Devices: ${result.devices.total} total, ${result.devices.success} success, ${result.devices.failed} failed`);
+    // Every transport's circuit breaker is open: upstream unavailable
+    if (result.status === 'circuit_open') {
+      return sendError(res, new UpstreamError('Every delivery transport is unavailable (circuit breaker open)'), {
+        ...result,
+        duration: `${duration}ms`
+      });
     }
     
-    log(`========================================`);
-    
     return res.json({
       ...result,
       duration: `${duration}ms`,
       timestamp: new Date().toISOString(),
-      requestId
+      requestId: getRequestId()
     });
     
   } catch (err) {
-    const duration = Date.now() - startTime;
+    return sendError(res, logFailure(logger, 'notify.failed', err), {
+      duration: `${Date.now() - startTime}ms`
+    });
+  }
+}
+
+/**
+ * Outbox sweep entrypoint: retries stale/failed sends from the outbox.
+ * Runs on the function's schedule (cron) or via POST /outbox/sweep.
+ */
+async function handleOutboxSweep({ req, res, logger }) {
+  const startTime = Date.now();
+  
+  try {
+    const options = parseBody(req);
+    const report = await sweepOutbox({ limit: options.limit });
     
-    error(`========================================`);
-    error(`❌ Request failed`);
-    error(`⏱️  Duration: ${duration}ms`);
-    error(`🐛 Error: ${err.message}`);
-    error(`📚 Stack: ${err.stack}`);
-    error(`========================================`);
+    return res.json({
+      success: true,
+      status: 'swept',
+      ...report,
+      duration: `${Date.now() - startTime}ms`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (err) {
+    return sendError(res, logFailure(logger, 'outbox.sweep_failed', err), {
+      duration: `${Date.now() - startTime}ms`
+    });
+  }
+}
+
+/**
+ * Delivery log query: GET /logs?recipientId=&chatId=&messageId=&from=&to=&limit=&cursor=
+ */
+async function handleDeliveryLog({ req, res, logger }) {
+  const filters = req.query || {};
+  
+  try {
+    const page = await getDeliveryLog(filters);
+    
+    logger.info('delivery_log.queried', { filters, entries: page.entries.length });
     
     return res.json({
-      success: false,
-      error: err.message,
-      duration: `${duration}ms`,
-      timestamp: new Date().toISOString(),
-      requestId
-    }, 500);
+      success: true,
+      ...page,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (err) {
+    // Invalid filters / cursor are client errors (INVALID_QUERY)
+    return sendError(res, logFailure(logger, 'delivery_log.query_failed', err));
+  }
+}
+
+/**
+ * Device maintenance: POST /devices/prune { dryRun?, staleDays?, limit?, cursor? }
+ * Removes stale or unreachable devices; call again with the returned
+ * `cursor` until `done`
+ */
+async function handlePruneDevices({ req, res, logger }) {
+  const startTime = Date.now();
+  
+  try {
+    const body = parseBody(req);
+    assertValid(validate(body, PRUNE_SCHEMA));
+    
+    const dryRun = body.dryRun === true;
+    const report = await pruneDevices({
+      dryRun,
+      staleDays: body.staleDays,
+      limit: body.limit,
+      cursor: body.cursor
+    });
+    
+    return res.json({
+      success: true,
+      status: dryRun ? 'preview' : 'pruned',
+      dryRun,
+      ...report,
+      duration: `${Date.now() - startTime}ms`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (err) {
+    return sendError(res, logFailure(logger, 'devices.prune_failed', err), {
+      duration: `${Date.now() - startTime}ms`
+    });
   }
-};
+}
+
+/**
+ * Read receipt: POST /badges/read { userId, chatId?, count? }
+ * Resets the chat's unread counter (or decrements it by `count`)
+ */
+async function handleMarkRead({ req, res, logger }) {
+  try {
+    const body = parseBody(req);
+    assertValid(validate(body, READ_RECEIPT_SCHEMA));
+    
+    const { userId, chatId, count } = body;
+    const counters = await markRead(userId, { chatId, count });
+    
+    logger.info('badges.marked_read', { userId, chatId, total: counters.total });
+    
+    return res.json({
+      success: true,
+      userId,
+      unread: counters,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (err) {
+    return sendError(res, logFailure(logger, 'badges.mark_read_failed', err));
+  }
+}
+
+/**
+ * Due scheduled notifications: POST /scheduled/run (also part of the cron run)
+ */
+async function handleScheduledRun({ req, res, logger }) {
+  const startTime = Date.now();
+  
+  try {
+    const options = parseBody(req);
+    const report = await processScheduled({ limit: options.limit });
+    
+    return res.json({
+      success: true,
+      status: 'processed',
+      ...report,
+      duration: `${Date.now() - startTime}ms`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (err) {
+    return sendError(res, logFailure(logger, 'scheduled.run_failed', err), {
+      duration: `${Date.now() - startTime}ms`
+    });
+  }
+}
+
+/**
+ * Cron run: deliver due scheduled notifications, continue an interrupted
+ * broadcast, then sweep the outbox
+ */
+async function handleCron({ res, logger }) {
+  const startTime = Date.now();
+  
+  try {
+    const scheduled = await processScheduled();
+    const broadcasts = await resumeBroadcasts();
+    const outbox = await sweepOutbox();
+    
+    logger.info('cron.completed', {
+      scheduledSent: scheduled.sent,
+      broadcastsResumed: broadcasts.length,
+      outboxDelivered: outbox.delivered,
+      durationMs: Date.now() - startTime
+    });
+    
+    return res.json({
+      success: true,
+      status: 'processed',
+      scheduled,
+      broadcasts,
+      outbox,
+      duration: `${Date.now() - startTime}ms`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (err) {
+    return sendError(res, logFailure(logger, 'cron.failed', err), {
+      duration: `${Date.now() - startTime}ms`
+    });
+  }
+}
+
+/**
+ * Cancel or reschedule a scheduled notification:
+ *   POST /scheduled/cancel     { scheduleId }
+ *   POST /scheduled/reschedule { scheduleId, sendAt | delaySeconds }
+ */
+async function handleScheduleChange({ req, res, logger }) {
+  const action = req.path === '/scheduled/cancel' ? 'cancel' : 'reschedule';
+  
+  try {
+    const body = parseBody(req);
+    assertValid(validate(body, SCHEDULE_CHANGE_SCHEMA));
+    
+    const { scheduleId, sendAt, delaySeconds } = body;
+    
+    const entry = action === 'cancel'
+      ? await cancelLater(scheduleId)
+      : await rescheduleLater(scheduleId, { sendAt, delaySeconds });
+    
+    logger.info(action === 'cancel' ? 'scheduled.cancelled' : 'scheduled.rescheduled', {
+      scheduleId,
+      sendAt: new Date(toMillis(entry.sendAt)).toISOString()
+    });
+    
+    return res.json({
+      success: true,
+      scheduleId,
+      status: entry.status,
+      sendAt: new Date(toMillis(entry.sendAt)).toISOString(),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (err) {
+    // SCHEDULE_NOT_FOUND, SCHEDULE_NOT_PENDING (already processed), INVALID_PAYLOAD (time)
+    return sendError(res, logFailure(logger, `scheduled.${action}_failed`, err));
+  }
+}
+
+/**
+ * Broadcasts to Appwrite topics or a Firestore user segment:
+ *   POST /broadcasts        { broadcastId?, target, kind?, ...event fields }
+ *   POST /broadcasts/resume { broadcastId }
+ *   GET  /broadcasts?broadcastId=
+ */
+async function handleBroadcast({ req, res, logger }) {
+  const startTime = Date.now();
+  
+  try {
+    if (req.method === 'GET') {
+      const query = req.query || {};
+      assertValid(validate(query, BROADCAST_REF_SCHEMA));
+      
+      return res.json({ success: true, ...(await getBroadcastProgress(query.broadcastId)) });
+    }
+    
+    const body = parseBody(req);
+    let progress;
+    
+    if (req.path === '/broadcasts/resume') {
+      assertValid(validate(body, BROADCAST_REF_SCHEMA));
+      
+      progress = await runBroadcast(body.broadcastId);
+    } else {
+      const { broadcastId, target, ...fields } = body;
+      const event = { kind: config.BROADCAST_DEFAULT_KIND, ...fields };
+      
+      // The target supplies the recipients; chat messages cannot be broadcast
+      const { kind, errors } = validateEvent(event, { recipients: false });
+      
+      if (kind && kind.chat) {
+        errors.push({ field: 'kind', message: `Kind ${kind.name} cannot be broadcast` });
+      }
+      
+      errors.push(...validate({ broadcastId }, { broadcastId: { type: 'id' } }));
+      assertValid(errors);
+      
+      progress = await startBroadcast({ broadcastId, target, event });
+    }
+    
+    logger.info('broadcast.progress', {
+      broadcastId: progress.broadcastId,
+      status: progress.status,
+      pages: progress.pages,
+      totalRecipients: progress.totals.recipients,
+      totalDelivered: progress.totals.delivered
+    });
+    
+    // 202 while pages remain (the cron run continues it)
+    return res.json({
+      success: true,
+      ...progress,
+      duration: `${Date.now() - startTime}ms`,
+      timestamp: new Date().toISOString()
+    }, progress.status === 'running' ? 202 : 200);
+    
+  } catch (err) {
+    // Invalid target (INVALID_PAYLOAD), unknown broadcast (BROADCAST_NOT_FOUND)
+    return sendError(res, logFailure(logger, 'broadcast.request_failed', err), {
+      duration: `${Date.now() - startTime}ms`
+    });
+  }
+}
+
+/**
+ * Prometheus scrape: GET /metrics (counters of this instance since its cold start)
+ */
+function handleMetrics({ res }) {
+  return res.text(renderMetrics(), 200, { 'content-type': CONTENT_TYPE });
+}
+
+/**
+ * Authenticate, then dispatch on trigger / path / method
+ */
+async function route(context, trigger) {
+  const { req, res, logger } = context;
+  
+  // ✅ Authenticate before touching the payload
+  const auth = authenticate(req);
+  
+  if (!auth.ok) {
+    logger.warn('auth.rejected', { reason: auth.reason });
+    return sendError(res, new AuthenticationError(auth.reason));
+  }
+  
+  // Scheduled executions (cron) deliver due notifications and sweep the outbox
+  if (trigger === 'schedule') {
+    return handleCron(context);
+  }
+  
+  if (req.path === '/outbox/sweep') {
+    return handleOutboxSweep(context);
+  }
+  
+  if (req.path === '/broadcasts' || req.path === '/broadcasts/resume') {
+    return handleBroadcast(context);
+  }
+  
+  if (req.path === '/scheduled/run') {
+    return handleScheduledRun(context);
+  }
+  
+  if (req.method === 'POST' && (req.path === '/scheduled/cancel' || req.path === '/scheduled/reschedule')) {
+    return handleScheduleChange(context);
+  }
+  
+  if (req.method === 'GET' && req.path === '/logs') {
+    return handleDeliveryLog(context);
+  }
+  
+  if (req.method === 'POST' && req.path === '/badges/read') {
+    return handleMarkRead(context);
+  }
+  
+  if (req.method === 'POST' && req.path === '/devices/prune') {
+    return handlePruneDevices(context);
+  }
+  
+  if (req.method === 'GET' && req.path === '/metrics') {
+    return handleMetrics(context);
+  }
+  
+  return handleNotify(context);
+}
+
+/**
+ * Appwrite function handler. `clients` ({ db, messaging, fcm }) replace the
+ * Firebase / Appwrite clients built from the environment, e.g. the
+ * in-memory stand-ins of src/fakes for running offline.
+ */
+function createHandler({ clients } = {}) {
+  return async (context) => {
+    const { req, res } = context;
+    const startTime = Date.now();
+    const trigger = (req.headers && req.headers['x-appwrite-trigger']) || 'http';
+    
+    // ✅ One correlation ID for the whole invocation (logs, outbox, ledger, response)
+    const requestId = createRequestId(req.headers);
+    const logger = createLogger(context, { requestId });
+    const request = { method: req.method || 'POST', path: req.path || '/', trigger };
+    
+    // Every response is logged once and carries the correlation ID header
+    const track = send => (body, status = 200, headers = {}) => {
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    
+      logger[level]('request.completed', {
+        ...request,
+        status,
+        durationMs: Date.now() - startTime,
+        ...(body && body.error && { errorCode: body.error.code })
+      });
+    
+      return send.call(res, body, status, { ...headers, [config.LOG_REQUEST_ID_HEADER]: requestId });
+    };
+    
+    const tracked = Object.assign(Object.create(res), {
+      json: track(res.json),
+      text: track(res.text)
+    });
+    
+    const run = () => runWithLogger(logger, () => {
+      logger.debug('request.received', request);
+      
+      // Invalid settings are reported together, before anything runs on them
+      if (config.CONFIG_PROBLEMS.length > 0) {
+        logger.error('config.invalid', { profile: config.PROFILE, problems: config.CONFIG_PROBLEMS });
+        return sendError(tracked, new ConfigError(config.CONFIG_PROBLEMS));
+      }
+      
+      return route({ ...context, res: tracked, logger }, trigger);
+    });
+    
+    return clients ? runWithClients(clients, run) : run();
+  };
+}
+
+module.exports = createHandler();
+module.exports.createHandler = createHandler;
@@ -0,0 +1,272 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * In-Process Metrics (Prometheus)
+ * ========================================
+ *
+ * Counters, gauges and histograms kept in module state, so they add up
+ * across warm invocations of the same instance. GET /metrics renders them
+ * in the Prometheus text format:
+ *
+ *   trovatask_sends_total{instance_id="3f9a0c1e",outcome="delivered",transport="appwrite",source="live",error_code="none"} 1250
+ *   trovatask_device_send_duration_seconds_bucket{instance_id="3f9a0c1e",transport="appwrite",outcome="delivered",le="0.5"} 1190
+ *
+ * Values restart from zero on every cold start. Appwrite may run several
+ * instances behind one URL and each scrape reaches one of them, so every
+ * sample carries the instance's `instance_id`; aggregate with
+ * sum without (instance_id) (...).
+ *
+ * Gauges whose value lives elsewhere (limiter queues, breaker states) are
+ * read at scrape time through registerCollector().
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+
+const INSTANCE_ID = crypto.randomBytes(4).toString('hex');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries({ instance_id: INSTANCE_ID, ...labels })
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// ========================================
+// METRIC TYPES
+// ========================================
+
+class Metric {
+  /**
+   * @param {string} name - without the METRICS_PREFIX
+   * @param {string} help
+   * @param {string[]} labelNames - labels every observation must supply
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = `${config.METRICS_PREFIX}${name}`;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * The series of a label set (missing labels are reported as "none")
+   */
+  getSeries(labels = {}, create) {
+    const values = {};
+    this.labelNames.forEach(name => {
+      values[name] = labels[name] === undefined || labels[name] === null ? 'none' : String(labels[name]);
+    });
+
+    const key = JSON.stringify(values);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples()
+    ];
+  }
+
+  renderSamples() {
+    return Array.from(this.series.values())
+      .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {number[]} buckets - upper bounds in seconds, ascending
+   */
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSamples() {
+    return Array.from(this.series.values()).flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`
+      ),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ]);
+  }
+}
+
+// ========================================
+// REGISTRY
+// ========================================
+
+const registry = [];
+const collectors = [];
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Run `collect` before every render (to set gauges from live state)
+ */
+function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+const sends = register(new Counter(
+  'sends_total',
+  'Device sends by outcome (delivered, failed, auto_cleaned, circuit_open), transport, source and error code',
+  ['outcome', 'transport', 'source', 'error_code']
+));
+
+const autoCleanups = register(new Counter(
+  'devices_auto_cleaned_total',
+  'Devices removed from Firestore because their target or token is invalid',
+  ['transport']
+));
+
+const devicesPruned = register(new Counter(
+  'devices_pruned_total',
+  'Devices removed (or listed by a dry run) by the prune entrypoint, by reason (stale, unreachable)',
+  ['reason', 'dry_run']
+));
+
+const retries = register(new Counter(
+  'send_retries_total',
+  'Send retries after a failed attempt, by error code',
+  ['error_code']
+));
+
+const notificationDuration = register(new Histogram(
+  'notification_duration_seconds',
+  'End-to-end duration of a notification (request start to the last device settled)',
+  ['status'],
+  config.METRICS_LATENCY_BUCKETS
+));
+
+const deviceSendDuration = register(new Histogram(
+  'device_send_duration_seconds',
+  'Duration of one device send, retries and fallback included',
+  ['transport', 'outcome'],
+  config.METRICS_LATENCY_BUCKETS
+));
+
+const rateLimiterWait = register(new Histogram(
+  'rate_limiter_wait_seconds',
+  'Time a send waited for the rate limiter',
+  [],
+  config.METRICS_WAIT_BUCKETS
+));
+
+const rateLimiterQueueDepth = register(new Gauge(
+  'rate_limiter_queue_depth',
+  'Sends waiting for a rate limiter token'
+));
+
+const concurrencyInFlight = register(new Gauge(
+  'concurrency_in_flight',
+  'Sends currently running in the concurrency limiter'
+));
+
+const concurrencyQueueDepth = register(new Gauge(
+  'concurrency_queue_depth',
+  'Sends waiting for a concurrency limiter slot'
+));
+
+const concurrencyQueuePeak = register(new Gauge(
+  'concurrency_queue_depth_peak',
+  'Highest concurrency limiter queue depth since the instance started'
+));
+
+const rateLimit = register(new Gauge(
+  'rate_limit_per_second',
+  'Current adaptive rate limit (lowered on 429/503)'
+));
+
+const circuitOpen = register(new Gauge(
+  'circuit_breaker_open',
+  'Whether the transport circuit breaker is open (1) or half-open / closed (0)',
+  ['transport']
+));
+
+/**
+ * Every metric in the Prometheus text format
+ */
+function renderMetrics() {
+  collectors.forEach(collect => collect());
+  return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  registerCollector,
+  renderMetrics,
+  metrics: {
+    sends,
+    autoCleanups,
+    devicesPruned,
+    retries,
+    notificationDuration,
+    deviceSendDuration,
+    rateLimiterWait,
+    rateLimiterQueueDepth,
+    concurrencyInFlight,
+    concurrencyQueueDepth,
+    concurrencyQueuePeak,
+    rateLimit,
+    circuitOpen
+  }
+};
@@ -9,68 +9,226 @@
  */
 
 const admin = require('firebase-admin');
-const sdk = require('node-appwrite');
 const config = require('./config');
-const { RateLimiter, ConcurrencyLimiter, fastRetry } = require('./utils');
+const {
+  RateLimiter,
+  ConcurrencyLimiter,
+  CircuitBreaker,
+  isThrottleError,
+  fastRetry,
+  toMillis
+} = require('./utils');
+const { resolveRecipients, authorizeChatMembers } = require('./recipients');
+const { evaluatePreferences, resolveTimeZone } = require('./preferences');
+const { trackBurst, peekBurst } = require('./collapse');
+const { resolveLocale } = require('./templates');
+const { getKind, getKindName, buildKindData } = require('./kinds');
+const { trackUnread, peekUnread, markChatRead } = require('./badges');
+const { getPresentation } = require('./presentation');
+const { getLedgerKey, createLedgerStore } = require('./dedup');
+const { MemoryBucketStore, createBucketStore } = require('./buckets');
+const { resolvePriority, getExpiresAt } = require('./priority');
+const {
+  parseDevices,
+  getDeviceFieldPath,
+  resolveTargeting,
+  selectDevices,
+  pruneStaleDevices
+} = require('./devices');
+const { AppwriteTransport } = require('./transports');
+const { getClients, runWithClients } = require('./clients');
+const { enqueueSends, settleSend, claimDueEntries } = require('./outbox');
+const { getOutcome, recordDelivery, queryDeliveryLog } = require('./delivery-log');
+const {
+  filterByCondition,
+  scheduleNotification,
+  cancelScheduled,
+  rescheduleNotification,
+  claimDueScheduled,
+  settleScheduled
+} = require('./scheduler');
+const {
+  getTopicMessageId,
+  normalizeTarget,
+  fetchSegmentPage,
+  createBroadcast,
+  leaseBroadcast,
+  saveCheckpoint,
+  releaseBroadcast,
+  getBroadcast,
+  findResumable,
+  addPageTotals
+} = require('./broadcast');
+const { ValidationError, NotFoundError } = require('./errors');
+const { getLogger, getRequestId, createRequestId, runWithLogger } = require('./logger');
+const { metrics, registerCollector } = require('./metrics');
+
+// One ledger store per Firestore client (environment or injected)
+const ledgerStores = new WeakMap();
+
+function getLedgerStore(db) {
+  if (!ledgerStores.has(db)) {
+    ledgerStores.set(db, createLedgerStore(db));
+  }
+  return ledgerStores.get(db);
+}
 
 // ========================================
-// ✅ CRITICAL FIX: Global Client Caching
-// Saves 200-300ms per request
+// ✅ CRITICAL FIX: Import from utils.js
+// Removes duplicate code (maintainability)
 // ========================================
 
-let cachedClients = null;
-let clientInitTime = null;
+// Push budget: per instance, or one project-wide budget shared through Firestore (RATE_LIMIT_STORE)
+const bucketStores = new WeakMap();
+const memoryBucketStore = new MemoryBucketStore();
 
-// Initialize Firebase Admin (inline - no separate file needed)
-function initializeClients() {
-  // Return cached clients if already initialized
-  if (cachedClients) {
-    console.log(`⚡ Using cached clients (age: ${Date.now() - clientInitTime}ms)`);
-    return cachedClients;
+function getBucketStore() {
+  if (config.RATE_LIMIT_STORE !== 'firestore') return memoryBucketStore;
+  
+  const { db } = getClients();
+  if (!bucketStores.has(db)) {
+    bucketStores.set(db, createBucketStore(db));
   }
+  return bucketStores.get(db);
+}
 
-  console.log('🔧 Initializing clients...');
-  const initStart = Date.now();
+const rateLimiter = new RateLimiter(config.RATE_LIMIT_PER_SECOND, 1000, {
+  key: 'push',
+  getStore: getBucketStore,
+  fallbackFraction: config.RATE_LIMIT_FALLBACK_FRACTION
+});
+const concurrencyLimiter = new ConcurrencyLimiter(config.MAX_CONCURRENT_REQUESTS);
 
-  // Initialize Firebase Admin if not already initialized
-  if (!admin.apps.length) {
-    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount)
-    });
+// ✅ One circuit breaker per transport (survives warm invocations)
+const circuitBreakers = new Map();
+
+function getCircuitBreaker(transportName) {
+  if (!circuitBreakers.has(transportName)) {
+    circuitBreakers.set(transportName, new CircuitBreaker(transportName));
   }
+  return circuitBreakers.get(transportName);
+}
 
-  const db = admin.firestore();
+/**
+ * Current adaptive rate and breaker states, included in every response
+ */
+function getThrottleState() {
+  const breakers = {};
+  circuitBreakers.forEach((breaker, name) => {
+    breakers[name] = breaker.getState();
+  });
+  
+  return {
+    ...rateLimiter.getState(),
+    circuitBreakers: breakers
+  };
+}
 
-  // Initialize Appwrite clients
-  const appwriteClient = new sdk.Client()
-    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
-    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
-    .setKey(process.env.APPWRITE_API_KEY);
+// Limiter and breaker gauges are read at scrape time
+registerCollector(() => {
+  const concurrency = concurrencyLimiter.getState();
+  
+  metrics.concurrencyInFlight.set({}, concurrency.running);
+  metrics.concurrencyQueueDepth.set({}, concurrency.queued);
+  metrics.concurrencyQueuePeak.set({}, concurrency.peakQueued);
+  metrics.rateLimit.set({}, rateLimiter.getState().rateLimit);
+  metrics.rateLimiterQueueDepth.set({}, rateLimiter.getQueueDepth());
+  
+  circuitBreakers.forEach((breaker, name) => {
+    metrics.circuitOpen.set({ transport: name }, breaker.getState().state === 'open' ? 1 : 0);
+  });
+});
 
-  const messaging = new sdk.Messaging(appwriteClient);
-  const users = new sdk.Users(appwriteClient);
+getLogger().info('limits.configured', {
+  rateLimitPerSecond: config.RATE_LIMIT_PER_SECOND,
+  rateLimitStore: config.RATE_LIMIT_STORE,
+  maxConcurrent: config.MAX_CONCURRENT_REQUESTS
+});
 
-  // ✅ Cache clients for reuse
-  cachedClients = { messaging, users, db, appwriteClient };
-  clientInitTime = Date.now();
-  
-  const initDuration = Date.now() - initStart;
-  console.log(`✅ Clients initialized and cached (${initDuration}ms)`);
+/**
+ * Rate-limited push send with concurrency control, guarded by the
+ * transport's circuit breaker (fails fast while it is open)
+ */
+function sendThroughLimiters(transportName, send, priority) {
+  const breaker = getCircuitBreaker(transportName);
   
-  return cachedClients;
+  return concurrencyLimiter.run(() => fastRetry(async () => {
+    const waitStart = Date.now();
+    await rateLimiter.acquire(priority);
+    metrics.rateLimiterWait.observe({}, (Date.now() - waitStart) / 1000);
+    
+    try {
+      const sent = await breaker.execute(send);
+      rateLimiter.recordSuccess();
+      return sent;
+    } catch (sendErr) {
+      // ✅ Adaptive throttling: back off when upstream says 429/503
+      if (isThrottleError(sendErr)) {
+        rateLimiter.recordThrottle();
+      }
+      throw sendErr;
+    }
+  }), priority);
 }
 
-// ========================================
-// ✅ CRITICAL FIX: Import from utils.js
-// Removes duplicate code (maintainability)
-// ========================================
-
-const rateLimiter = new RateLimiter(config.RATE_LIMIT_PER_SECOND, 1000);
-const concurrencyLimiter = new ConcurrencyLimiter(config.MAX_CONCURRENT_REQUESTS);
+/**
+ * Why no configured transport can reach a device entry
+ */
+function getUnreachableReason(deviceData) {
+  return deviceData.appwriteUserId || deviceData[config.APPWRITE_TARGET_FIELD]
+    ? 'No supported delivery transport'
+    : 'No Appwrite User ID';
+}
 
-console.log(`⚙️  Rate limiter: ${config.RATE_LIMIT_PER_SECOND} req/sec`);
-console.log(`⚙️  Concurrency: ${config.MAX_CONCURRENT_REQUESTS} parallel requests`);
+/**
+ * ✅ Coalescing: the device entries of one request that resolve to the same
+ * address (Appwrite user or target, FCM token) share one push, so each
+ * physical device is notified once. The first entry's push goes out (one
+ * rate limit token); the others await it and report its result.
+ */
+function createCoalescer(devices, transports) {
+  const addresses = new Map(transports.map(transport => {
+    const resolved = transport.getAddresses(devices);
+    return [transport.name, new Map(devices.map((device, index) => [device, resolved[index]]))];
+  }));
+  const leaders = new Map();
+  const pushes = new Map();
+  
+  const getAddress = (transport, device) => addresses.get(transport.name).get(device) || undefined;
+  const getKey = (transport, device) => `${transport.name}:${JSON.stringify(getAddress(transport, device))}`;
+  
+  return {
+    getAddress,
+    
+    /**
+     * Device ID whose push `device` joins on this transport, or null when
+     * it is the first of its address (dry runs)
+     */
+    join(transport, device, deviceId) {
+      const key = getKey(transport, device);
+      if (leaders.has(key)) return leaders.get(key);
+      
+      leaders.set(key, deviceId);
+      return null;
+    },
+    
+    /**
+     * Run `send` for the first device of an address; the others share its
+     * outcome and resolve to { messageId, coalescedWith }
+     */
+    async share(transport, device, deviceId, send) {
+      const key = getKey(transport, device);
+      
+      if (!pushes.has(key)) {
+        pushes.set(key, { deviceId, promise: send() });
+        return pushes.get(key).promise;
+      }
+      
+      const push = pushes.get(key);
+      return { ...(await push.promise), coalescedWith: push.deviceId };
+    }
+  };
+}
 
 /**
  * ✅ ENHANCED v19.0 ULTRA: Send notification to a single device
@@ -80,116 +238,415 @@ console.log(`⚙️  Concurrency: ${config.MAX_CONCURRENT_REQUESTS} parallel req
  * - Improved error detection with Firebase error codes
  * - Auto-cleanup invalid devices
  * - Per-device performance tracking
+ *
+ * TRANSPORTS:
+ * - Tries the primary transport, then the fallback when it fails
+ * - Reports the transport that actually delivered the push
+ * - With a `coalescer`, shares the push of an earlier device entry with
+ *   the same address (reported as `coalescedWith`)
  */
-async function sendToDevice(deviceEntry, notificationPayload, messaging, users, db, recipientFirebaseUid) {
+async function sendToDevice(deviceEntry, notificationPayload, transports, db, recipientFirebaseUid, coalescer = null) {
   const [deviceId, deviceData] = deviceEntry;
   const deviceStart = Date.now();
   
-  try {
-    const appwriteUserId = deviceData.appwriteUserId;
-    
-    if (!appwriteUserId) {
+  const deviceInfo = {
+    deviceId,
+    deviceName: deviceData.deviceName || 'Unknown',
+    model: deviceData.model || 'Unknown'
+  };
+  
+  // Only transports this device entry can be reached through
+  const chain = transports.filter(transport => transport.supports(deviceData));
+  
+  if (chain.length === 0) {
+    return {
+      ...deviceInfo,
+      success: false,
+      error: getUnreachableReason(deviceData),
+      duration: Date.now() - deviceStart
+    };
+  }
+  
+  let lastError = null;
+  let lastTransport = null;
+  
+  for (const [index, transport] of chain.entries()) {
+    try {
+      // ✅ A+ OPTIMIZATION: Skip listTargets check
+      // We already have the device target, so directly send the push
+      
+      const address = coalescer ? coalescer.getAddress(transport, deviceData) : undefined;
+      const send = () => sendThroughLimiters(
+        transport.name,
+        () => transport.send(deviceData, notificationPayload, address),
+        notificationPayload.priority
+      );
+      
+      const { messageId, coalescedWith } = coalescer
+        ? await coalescer.share(transport, deviceData, deviceId, send)
+        : await send();
+      
+      if (index > 0) {
+        getLogger().info('device.fallback_delivered', { deviceId, transport: transport.name });
+      }
+      
       return {
-        deviceId,
-        deviceName: deviceData.deviceName || 'Unknown',
-        model: deviceData.model || 'Unknown',
-        success: false,
-        error: 'No Appwrite User ID',
+        ...deviceInfo,
+        success: true,
+        messageId,
+        transport: transport.name,
+        ...(coalescedWith && { coalescedWith }),
+        fallbackUsed: index > 0,
+        ...(lastError && { primaryError: lastError.message }),
         duration: Date.now() - deviceStart
       };
+      
+    } catch (err) {
+      lastError = err;
+      lastTransport = transport;
+      
+      if (index < chain.length - 1) {
+        getLogger().warn('device.transport_failed', {
+          deviceId,
+          transport: transport.name,
+          next: chain[index + 1].name,
+          err
+        });
+      }
     }
-    
-    // ✅ A+ OPTIMIZATION: Skip listTargets check
-    // We already have appwriteUserId, so directly send push notification
-    // This eliminates one API call per device (500-800ms savings!)
-    
-    // Rate-limited push send with concurrency control
-    const message = await concurrencyLimiter.run(async () => {
-      await rateLimiter.acquire();
+  }
+  
+  const err = lastError;
+  const deviceDuration = Date.now() - deviceStart;
+  
+  // ========================================
+  // ✅ CRITICAL FIX: Improved Error Detection
+  // Uses error codes + message string
+  // ========================================
+  
+  const isDeviceNotFound = (
+    err.code === 404 ||
+    err.code === 'messaging/registration-token-not-registered' ||
+    err.code === 'messaging/invalid-registration-token' ||
+    (err.message && err.message.includes('could not be found'))
+  );
+  
+  // ✅ AUTO-CLEANUP: Remove invalid devices
+  if (isDeviceNotFound) {
+    try {
+      const userRef = db.collection('users').doc(recipientFirebaseUid);
+      const userDoc = await userRef.get();
       
-      return fastRetry(async () => {
-        return messaging.createPush(
-          sdk.ID.unique(),
-          notificationPayload.title,
-          notificationPayload.body,
-          undefined,                           // topics
-          [appwriteUserId],                    // users
-          undefined,                           // targets
-          notificationPayload.data,            // data
-          undefined,                           // action
-          undefined,                           // icon
-          undefined,                           // sound
-          undefined,                           // color
-          undefined,                           // tag
-          undefined,                           // badge
-          undefined,                           // draft
-          false                                // scheduled
-        );
-      });
-    });
+      await userRef.update(
+        getDeviceFieldPath(userDoc.data() || {}, deviceId),
+        admin.firestore.FieldValue.delete()
+      );
+      
+      getLogger().info('device.removed', { deviceId, recipientId: recipientFirebaseUid, reason: 'invalid_token' });
+      
+      return {
+        ...deviceInfo,
+        success: false,
+        error: 'Device removed (invalid token)',
+        transport: lastTransport.name,
+        autoCleanup: true,
+        duration: deviceDuration
+      };
+      
+    } catch (removeErr) {
+      getLogger().error('device.remove_failed', { deviceId, recipientId: recipientFirebaseUid, err: removeErr });
+    }
+  }
+  
+  return {
+    ...deviceInfo,
+    success: false,
+    error: err.message,
+    ...(err.code !== undefined && { errorCode: err.code }),
+    ...(err.code === 'CIRCUIT_OPEN' && { circuitOpen: true }),
+    transport: lastTransport.name,
+    duration: deviceDuration
+  };
+}
+
+/**
+ * Persist the outcome of one send: count it in the metrics, settle its
+ * outbox entry and append it to the delivery log. Returns the outbox
+ * status (or null without outbox). Bookkeeping failures are logged, never thrown.
+ */
+async function recordSendOutcome(db, deviceResult, { outboxId, attempt, ...meta }) {
+  const outcome = getOutcome(deviceResult);
+  
+  metrics.sends.inc({
+    outcome,
+    transport: deviceResult.transport,
+    source: meta.source,
+    error_code: deviceResult.errorCode
+  });
+  metrics.deviceSendDuration.observe({ transport: deviceResult.transport, outcome }, (deviceResult.duration || 0) / 1000);
+  
+  if (deviceResult.autoCleanup) {
+    metrics.autoCleanups.inc({ transport: deviceResult.transport });
+  }
+  
+  const [outboxStatus] = await Promise.all([
+    outboxId
+      ? settleSend(db, outboxId, deviceResult, attempt).catch(err => {
+          getLogger().error('outbox.settle_failed', { outboxId, err });
+          return null;
+        })
+      : null,
+    config.DELIVERY_LOG_ENABLED
+      ? recordDelivery(db, deviceResult, { ...meta, attempt }).catch(err => {
+          getLogger().error('delivery_log.write_failed', { deviceId: deviceResult.deviceId, err });
+        })
+      : null
+  ]);
+  
+  return outboxStatus;
+}
+
+// ========================================
+// DEVICE PARSING & RESULT HELPERS
+// ========================================
+
+/**
+ * Group flat device results back under their recipient
+ */
+function buildRecipientResults(recipientStates, deviceResults) {
+  return recipientStates.map(state => {
+    const results = deviceResults.filter(r => r.recipientId === state.recipientId);
+    const successful = results.filter(r => r.success).length;
+
+    let status = state.status;
+    if (status === 'pending') {
+      status = successful > 0 ? 'delivered' : 'failed';
+    }
 
-    const deviceDuration = Date.now() - deviceStart;
-    
     return {
+      recipientId: state.recipientId,
+      status,
+      ...(state.suppression && {
+        reason: state.suppression.reason,
+        until: state.suppression.until
+      }),
+      ...(typeof state.unread === 'number' && { unread: state.unread }),
+      devices: state.deviceEntries.length,
+      ...(state.skippedDevices && state.skippedDevices.length > 0 && { skippedDevices: state.skippedDevices }),
+      successful,
+      failed: results.length - successful,
+      deviceResults: results
+    };
+  });
+}
+
+/**
+ * Overall status when nothing is sent: a suppression status shared by
+ * every recipient (e.g. `muted`), `suppressed` for a mix, else `no_devices`
+ */
+function getIdleStatus(recipientStates) {
+  const suppressed = recipientStates.filter(state => state.suppression);
+
+  if (suppressed.length === 0) {
+    return 'no_devices';
+  }
+
+  const statuses = new Set(suppressed.map(state => state.status));
+  return suppressed.length === recipientStates.length && statuses.size === 1
+    ? suppressed[0].status
+    : 'suppressed';
+}
+
+/**
+ * Final `delivered` result once every device send has settled
+ */
+function summarizeResults(recipientStates, results, startTime) {
+  const successful = results.filter(r => r.success).length;
+  
+  // Nothing went out because every transport's breaker was open
+  const circuitOpen = results.length > 0 && results.every(r => r.circuitOpen);
+  
+  return {
+    success: successful > 0,
+    status: circuitOpen ? 'circuit_open' : 'delivered',
+    successful,
+    failed: results.length - successful,
+    autoCleanedCount: results.filter(r => r.autoCleanup).length,
+    totalDuration: Date.now() - startTime,
+    devices: results.length,
+    deviceResults: results,
+    recipients: buildRecipientResults(recipientStates, results)
+  };
+}
+
+/**
+ * Dry run result: per device, the exact request its first transport would
+ * make (nothing is sent, recorded or cleaned up)
+ */
+function previewSends(recipientStates, sends, transports) {
+  const coalescer = createCoalescer(sends.map(({ entry }) => entry[1]), transports);
+  const previews = sends.map(({ recipientId, entry: [deviceId, deviceData], payload }) => {
+    const chain = transports.filter(transport => transport.supports(deviceData));
+    const device = {
+      recipientId,
       deviceId,
       deviceName: deviceData.deviceName || 'Unknown',
-      model: deviceData.model || 'Unknown',
-      success: true,
-      messageId: message.$id,
-      duration: deviceDuration
+      model: deviceData.model || 'Unknown'
     };
-
-  } catch (err) {
-    const deviceDuration = Date.now() - deviceStart;
-    
-    // ========================================
-    // ✅ CRITICAL FIX: Improved Error Detection
-    // Uses error codes + message string
-    // ========================================
     
-    const isDeviceNotFound = (
-      err.code === 404 ||
-      err.code === 'messaging/registration-token-not-registered' ||
-      err.code === 'messaging/invalid-registration-token' ||
-      (err.message && err.message.includes('could not be found'))
-    );
-    
-    // ✅ AUTO-CLEANUP: Remove invalid devices
-    if (isDeviceNotFound) {
-      console.log(`🧹 Auto-cleanup: Removing invalid device ${deviceId} (${deviceData.deviceName || 'Unknown'})`);
-      
-      try {
-        await db.collection('users').doc(recipientFirebaseUid)
-          .update({
-            [`devices.${deviceId}`]: admin.firestore.FieldValue.delete()
-          });
-        
-        console.log(`✅ Device ${deviceId} removed from Firestore`);
-        
-        return {
-          deviceId,
-          deviceName: deviceData.deviceName || 'Unknown',
-          model: deviceData.model || 'Unknown',
-          success: false,
-          error: 'Device removed (invalid token)',
-          autoCleanup: true,
-          duration: deviceDuration
-        };
-        
-      } catch (removeErr) {
-        console.error(`❌ Failed to remove device ${deviceId}:`, removeErr.message);
-      }
+    if (chain.length === 0) {
+      return { ...device, wouldSend: false, error: getUnreachableReason(deviceData) };
     }
     
+    const transport = chain[0];
+    const coalescedWith = coalescer.join(transport, deviceData, deviceId);
+    
     return {
-      deviceId,
-      deviceName: deviceData.deviceName || 'Unknown',
-      model: deviceData.model || 'Unknown',
-      success: false,
-      error: err.message,
-      duration: deviceDuration
+      ...device,
+      wouldSend: true,
+      transport: transport.name,
+      fallbackTransports: chain.slice(1).map(next => next.name),
+      locale: payload.data.locale,
+      ...(coalescedWith
+        ? { coalescedWith }
+        : { request: transport.buildRequest(deviceData, payload, coalescer.getAddress(transport, deviceData)) })
     };
+  });
+  
+  return {
+    success: true,
+    status: 'preview',
+    devices: previews.length,
+    wouldSend: previews.filter(preview => preview.wouldSend).length,
+    pushes: previews.filter(preview => preview.request).length,
+    recipients: recipientStates.map(state => ({
+      recipientId: state.recipientId,
+      status: state.status === 'pending' ? 'would_send' : state.status,
+      ...(state.suppression && {
+        reason: state.suppression.reason,
+        until: state.suppression.until
+      }),
+      ...(typeof state.unread === 'number' && { unread: state.unread }),
+      devices: previews.filter(preview => preview.recipientId === state.recipientId),
+      ...(state.skippedDevices && state.skippedDevices.length > 0 && { skippedDevices: state.skippedDevices })
+    }))
+  };
+}
+
+/**
+ * Badge of a recipient: the unread total counting this message, the
+ * current total for reminders, or the total it would reach (dry runs)
+ */
+async function countUnread(db, recipientId, chatId, { reminder, dryRun }) {
+  if (reminder) {
+    return peekUnread(db, recipientId);
+  }
+  
+  if (!dryRun) {
+    return trackUnread(db, recipientId, chatId);
   }
+  
+  const total = await peekUnread(db, recipientId);
+  return total === null ? null : total + 1;
+}
+
+/**
+ * Push payload of a notification in one locale: kind template, kind/type
+ * presentation (action, icon, sound, color, thumbnail), tag, badge, data
+ * and priority lane (with the time the push goes stale)
+ */
+function buildPayload(kind, eventData, { senderName, locale, timeZone, count = 1, badge, timestamp }) {
+  const tag = kind.tag(eventData);
+  const { title, body } = kind.format(eventData, { senderName, count, locale, timeZone });
+  const priority = resolvePriority(kind, eventData);
+  
+  return {
+    title,
+    body,
+    priority,
+    expiresAt: getExpiresAt(priority),
+    ...(tag && { tag }),
+    ...getPresentation(kind.profile(eventData), eventData),
+    ...(typeof badge === 'number' && { badge }),
+    data: {
+      type: kind.name,
+      ...buildKindData(kind, eventData),
+      senderId: String(eventData.senderId || ''),
+      senderName: String(senderName || ''),
+      locale,
+      timestamp,
+      priority,
+      click_action: `${config.DEEP_LINK_SCHEME}://${kind.route(eventData)}`,
+      ...(tag && { collapseKey: tag }),
+      ...(kind.chat && { messageCount: String(count) }),
+      ...(typeof badge === 'number' && { badge: String(badge) })
+    }
+  };
+}
+
+/**
+ * Response for a repeated invocation: the original result, flagged as duplicate
+ */
+function buildDuplicateResult(ledgerKey, entry) {
+  const original = entry.result || {};
+  
+  return {
+    ...original,
+    success: true,
+    status: 'duplicate',
+    originalStatus: original.status || entry.status,
+    ledgerKey,
+    firstSeenAt: new Date(toMillis(entry.createdAt)).toISOString()
+  };
+}
+
+/**
+ * One entry per device send (failures at warn, successes at debug)
+ */
+function logDeviceResults(results) {
+  const logger = getLogger();
+  
+  results.forEach(r => {
+    const fields = {
+      deviceId: r.deviceId,
+      recipientId: r.recipientId,
+      model: r.model,
+      transport: r.transport,
+      durationMs: r.duration || 0,
+      ...(r.autoCleanup && { autoCleanup: true }),
+      ...(r.fallbackUsed && { fallbackUsed: true })
+    };
+    
+    if (r.success || r.autoCleanup) {
+      logger.debug('device.sent', { ...fields, success: Boolean(r.success) });
+    } else {
+      logger.warn('device.failed', { ...fields, errorCode: r.errorCode, error: r.error });
+    }
+  });
+}
+
+/**
+ * Summary entry once every send settled, with performance metrics
+ * (also observed in the end-to-end latency histogram)
+ */
+function recordDelivered(finalResult, { background }) {
+  const apiTimeMs = finalResult.deviceResults.reduce((sum, r) => sum + (r.duration || 0), 0);
+  const durationMs = finalResult.totalDuration;
+  
+  getLogger().info('notify.delivered', {
+    background,
+    status: finalResult.status,
+    devices: finalResult.devices,
+    successful: finalResult.successful,
+    failed: finalResult.failed,
+    autoCleaned: finalResult.autoCleanedCount,
+    durationMs,
+    avgDeviceMs: finalResult.devices > 0 ? Math.round(durationMs / finalResult.devices) : 0,
+    apiTimeMs,
+    parallelism: durationMs > 0 ? Number((apiTimeMs / durationMs).toFixed(2)) : 0
+  });
+  
+  metrics.notificationDuration.observe({ status: finalResult.status }, durationMs / 1000);
 }
 
 /**
@@ -201,249 +658,778 @@ async function sendToDevice(deviceEntry, notificationPayload, messaging, users,
  * - Detailed per-device tracking
  * - Background completion logging
  * - Performance metrics
+ *
+ * GROUP CHATS:
+ * - Fans out to every recipient (explicit list or chat participants)
+ * - All device sends share the global rate & concurrency limiters
+ * - Returns per-recipient and per-device results in one response
+ *
+ * OPTIONS (scheduled deliveries):
+ * - ledgerKey: idempotency key to claim instead of the event's own, even
+ *   with DEDUP_ENABLED off (a re-leased schedule must never send twice)
+ * - reminder: re-notifies about something already counted, so unread
+ *   counters and bursts are left untouched
+ * - awaitAll: wait for every send instead of answering early (broadcast pages)
+ *
+ * DRY RUN (options.dryRun):
+ * - Same lookups, preference checks and formatting, then returns per device
+ *   what would be passed to the transport instead of sending it
+ * - No writes: no ledger claim, unread counter, burst, outbox or delivery
+ *   log entry, and no auto-cleanup
+ *
+ * INJECTED CLIENTS (options.clients):
+ * - { db, messaging, fcm } used instead of the environment's, for this call
+ *   and its background sends (see clients.js)
  */
-async function handleNotification(eventData) {
-  const requestId = Math.random().toString(36).substring(7);
+async function handleNotification(eventData, options = {}) {
+  if (options.clients) {
+    const { clients, ...rest } = options;
+    return runWithClients(clients, () => handleNotification(eventData, rest));
+  }
+  
+  // One correlation ID per invocation (the caller's scope), generated only
+  // when called outside one
+  const requestId = getRequestId() || createRequestId();
+  const logger = getLogger();
   const startTime = Date.now();
   
-  console.log('\n' + '='.repeat(60));
-  console.log(`🚀 TrovaTask v19.0 ULTRA - A+ Optimized`);
-  console.log(`📬 Request ID: ${requestId}`);
-  console.log(`⏰ Started: ${new Date().toISOString()}`);
-  console.log('='.repeat(60));
+  logger.debug('notify.started', { kind: getKindName(eventData) });
 
-  try {
-    // ✅ Use cached clients (saves 200-300ms)
-    const { messaging, users, db } = initializeClients();
+  // ✅ Use cached clients (saves 200-300ms)
+  const clients = getClients();
+  
+  // ✅ Idempotency: claim the message before sending anything
+  const ledgerKey = options.dryRun
+    ? null
+    : options.ledgerKey || (config.DEDUP_ENABLED ? getLedgerKey(eventData) : null);
+  const ledger = ledgerKey ? getLedgerStore(clients.db) : null;
+  
+  if (ledgerKey) {
+    const claim = await ledger.claim(ledgerKey, {
+      kind: getKindName(eventData),
+      messageId: eventData.messageId || eventData.eventId || null,
+      deviceId: eventData.deviceId || null,
+      requestId
+    });
     
-    const {
-      recipientId: recipientFirebaseUid,
-      senderId: senderFirebaseUid,
-      text = 'New message',
-      chatId,
-      type = 'text',
-      messageId,
-      deviceId: targetDeviceId
-    } = eventData;
+    if (!claim.claimed) {
+      logger.info('notify.duplicate', { ledgerKey });
+      return { ...buildDuplicateResult(ledgerKey, claim.entry), throttle: getThrottleState() };
+    }
+  }
+  
+  const recordResult = result => ledger.complete(ledgerKey, result).catch(err => {
+    logger.error('ledger.record_failed', { ledgerKey, err });
+  });
+  
+  // The final background result must never be overwritten by the early one
+  let markInitialRecorded;
+  const initialRecorded = new Promise(resolve => { markInitialRecorded = resolve; });
+  const onSettled = ledgerKey
+    ? finalResult => initialRecorded.then(() => recordResult(finalResult))
+    : null;
+  
+  try {
+    const result = await deliverNotification(eventData, {
+      clients,
+      requestId,
+      startTime,
+      onSettled,
+      reminder: Boolean(options.reminder),
+      awaitAll: Boolean(options.awaitAll),
+      dryRun: Boolean(options.dryRun)
+    });
     
-    console.log(`� Message Details:`);
-    console.log(`   👤 From: ${senderFirebaseUid}`);
-    console.log(`   👤 To: ${recipientFirebaseUid}`);
-    console.log(`   💬 Chat: ${chatId}`);
-    console.log(`   📝 Type: ${type}`);
-    console.log(`   💬 Preview: ${text ? text.substring(0, 50) : 'N/A'}...`);
+    if (ledgerKey) {
+      await recordResult(result);
+      markInitialRecorded();
+    }
     
-    // Fetch user data in parallel
-    const [userDoc, senderDoc] = await Promise.all([
-      db.collection('users').doc(recipientFirebaseUid).get(),
-      senderFirebaseUid 
-        ? db.collection('users').doc(senderFirebaseUid).get().catch(() => null)
-        : Promise.resolve(null)
-    ]);
+    return {
+      ...result,
+      ...(options.dryRun && { dryRun: true }),
+      throttle: getThrottleState()
+    };
+  } catch (err) {
+    // Release the claim so a retry of a failed invocation can go through
+    if (ledgerKey) {
+      await ledger.release(ledgerKey).catch(() => {});
+    }
+    throw err;
+  }
+}
+
+/**
+ * Resolve recipients, apply preferences & collapsing, and send to every device.
+ * `onSettled` receives the final result when sends finish after an early response.
+ */
+async function deliverNotification(eventData, {
+  clients,
+  requestId,
+  startTime,
+  onSettled,
+  reminder = false,
+  awaitAll = false,
+  dryRun = false
+}) {
+  const { db, transports } = clients;
+  
+  const kindName = getKindName(eventData);
+  const kind = getKind(kindName);
+  
+  if (!kind) {
+    throw new ValidationError(`Unknown notification kind: ${kindName}`);
+  }
+  
+  const {
+    senderId: senderFirebaseUid,
+    deviceId: targetDeviceId
+  } = eventData;
+  const logger = getLogger();
+  
+  // Chat-only features (muted chats, bursts, unread badges) key on chatId
+  const chatId = kind.chat ? eventData.chatId : undefined;
+  const messageId = kind.eventId(eventData);
+  const targeting = resolveTargeting(eventData);
+  
+  // ✅ Resolve everyone who should be notified (sender excluded)
+  const { recipients, source, participants } = await resolveRecipients(db, eventData, { fromChat: kind.chat });
+  
+  // ✅ Authorization: sender and recipients must belong to the chat
+  if (kind.chat && config.AUTHORIZE_CHAT_MEMBERS) {
+    await authorizeChatMembers(db, { chatId, senderId: senderFirebaseUid, recipients, participants });
+  }
+  
+  logger.info('notify.resolved', {
+    kind: kind.name,
+    ...(chatId && { chatId, messageType: eventData.type || 'text' }),
+    eventId: messageId,
+    senderId: senderFirebaseUid,
+    recipients,
+    recipientCount: recipients.length,
+    source,
+    preview: eventData.text ? String(eventData.text).substring(0, 50) : undefined
+  });
+  
+  if (recipients.length === 0) {
+    logger.info('notify.no_recipients', { reason: 'only_sender' });
+    return {
+      success: true,
+      status: 'no_recipients',
+      message: 'No recipients to send notification to',
+      recipients: []
+    };
+  }
+  
+  // Fetch sender and all recipients in parallel
+  const [senderDoc, ...recipientDocs] = await Promise.all([
+    senderFirebaseUid 
+      ? db.collection('users').doc(senderFirebaseUid).get().catch(() => null)
+      : Promise.resolve(null),
+    ...recipients.map(uid => db.collection('users').doc(uid).get())
+  ]);
+  
+  if (recipientDocs.every(doc => !doc.exists)) {
+    throw new NotFoundError('RECIPIENT_NOT_FOUND', 'Recipient not found in Firestore');
+  }
+  
+  // Parse devices per recipient
+  const recipientStates = recipients.map((recipientId, index) => {
+    const userDoc = recipientDocs[index];
     
     if (!userDoc.exists) {
-      throw new Error('Recipient not found in Firestore');
+      logger.warn('recipient.not_found', { recipientId });
+      return { recipientId, status: 'not_found', deviceEntries: [] };
     }
     
     const userData = userDoc.data();
     
-    // Parse devices
-    let devicesMap = userData.devices || {};
+    // ✅ Respect muted chats, do-not-disturb and quiet hours
+    const suppression = evaluatePreferences(userData, { chatId });
     
-    if (Object.keys(devicesMap).length === 0) {
-      Object.keys(userData).forEach(key => {
-        if (key.startsWith('devices.')) {
-          devicesMap[key.replace('devices.', '')] = userData[key];
-        }
-      });
+    if (suppression) {
+      logger.info('recipient.suppressed', { recipientId, status: suppression.status, reason: suppression.reason });
+      return { recipientId, status: suppression.status, suppression, userData, deviceEntries: [] };
     }
     
-    if (targetDeviceId && devicesMap[targetDeviceId]) {
-      devicesMap = { [targetDeviceId]: devicesMap[targetDeviceId] };
-    }
+    const allEntries = Object.entries(parseDevices(userData, targetDeviceId));
     
-    const deviceCount = Object.keys(devicesMap).length;
-    console.log(`📱 Devices: ${deviceCount} total`);
+    // ✅ Targeting policy (all / latest / active, platform, app version);
+    // a push to one device goes to that device
+    const { selected: deviceEntries, skipped } = targetDeviceId
+      ? { selected: allEntries, skipped: [] }
+      : selectDevices(allEntries, targeting);
     
-    if (deviceCount === 0) {
-      console.log('⚠️  No devices registered for this user');
-      return {
-        success: true,
-        status: 'no_devices',
-        message: 'No devices to send notification to'
-      };
+    if (skipped.length > 0) {
+      logger.debug('recipient.devices_skipped', { recipientId, skipped });
     }
     
-    // Get sender name
-    const senderName = senderDoc?.data()?.fullName || 
-                       senderDoc?.data()?.username || 
-                       'Someone';
+    return {
+      recipientId,
+      status: deviceEntries.length > 0 ? 'pending' : 'no_devices',
+      userData,
+      deviceEntries,
+      skippedDevices: skipped
+    };
+  });
+  
+  const sends = recipientStates.flatMap(state =>
+    state.deviceEntries.map(entry => ({ recipientId: state.recipientId, state, entry }))
+  );
+  
+  logger.debug('notify.devices', { devices: sends.length, recipientCount: recipients.length });
+  
+  // ✅ Unread badge: count the message for every existing recipient (even
+  // when muted), and per-chat collapsing for recipients about to be notified
+  // (chat kinds only; reminders only re-send the current badge)
+  const [unreadCounts, burstCounts] = await Promise.all([
+    Promise.all(
+      recipientStates
+        .filter(state => kind.chat && state.userData)
+        .map(async state => [
+          state.recipientId,
+          await countUnread(db, state.recipientId, chatId, { reminder, dryRun })
+        ])
+    ).then(entries => new Map(entries)),
+    Promise.all(
+      recipientStates
+        .filter(state => kind.chat && !reminder && state.deviceEntries.length > 0)
+        .map(async state => [
+          state.recipientId,
+          dryRun
+            ? await peekBurst(db, state.recipientId, chatId)
+            : await trackBurst(db, state.recipientId, chatId)
+        ])
+    ).then(entries => new Map(entries))
+  ]);
+  
+  recipientStates.forEach(state => {
+    if (unreadCounts.has(state.recipientId)) {
+      state.unread = unreadCounts.get(state.recipientId);
+    }
+  });
+  
+  if (sends.length === 0) {
+    const status = getIdleStatus(recipientStates);
     
-    // Format notification content (truncate text if too long)
-    const truncatedText = text.length > config.MAX_TEXT_LENGTH 
-      ? text.substring(0, config.MAX_TEXT_LENGTH - 3) + '...' 
-      : text;
+    logger.info('notify.idle', { status });
     
-    // Prepare notification payload
-    const notificationPayload = {
-      title: senderName,
-      body: type === 'text' ? truncatedText : `📎 ${type}`,
-      data: {
-        type: 'chat_message',
-        chatId: String(chatId),
-        messageId: String(messageId || ''),
-        senderId: String(senderFirebaseUid || ''),
-        senderName: String(senderName),
-        messageType: String(type),
-        timestamp: new Date().toISOString(),
-        click_action: `${config.DEEP_LINK_SCHEME}://chat/${chatId}`
-      }
+    return {
+      success: true,
+      status,
+      message: status === 'no_devices'
+        ? 'No devices to send notification to'
+        : 'Notification suppressed by recipient preferences',
+      recipients: buildRecipientResults(recipientStates, [])
     };
+  }
+  
+  // Get sender name (localized "Someone" when unknown)
+  const senderName = senderDoc?.data()?.fullName || 
+                     senderDoc?.data()?.username || 
+                     null;
+  const timestamp = new Date().toISOString();
+  
+  // ✅ Localized payload per device (recipient locale → device locale → default)
+  sends.forEach(send => {
+    const { state, entry: [, deviceData] } = send;
+    
+    send.payload = buildPayload(kind, eventData, {
+      senderName,
+      locale: resolveLocale(state.userData, deviceData),
+      timeZone: resolveTimeZone(state.userData),
+      count: burstCounts.get(state.recipientId) || 1,
+      badge: unreadCounts.get(state.recipientId),
+      timestamp
+    });
+  });
+  
+  if (dryRun) {
+    logger.info('notify.previewed', { devices: sends.length });
+    return previewSends(recipientStates, sends, transports);
+  }
+  
+  // ✅ Durable outbox: persist every pending send before it goes out
+  let outboxIds = null;
+  
+  if (config.OUTBOX_ENABLED) {
+    try {
+      outboxIds = await enqueueSends(db, sends, { requestId, kind: kind.name, messageId, chatId });
+    } catch (err) {
+      logger.error('outbox.enqueue_failed', { devices: sends.length, err });
+    }
+  }
+  
+  // Send to all devices of all recipients in parallel
+  // (shared limiters throttle the whole fan-out together, entries with the
+  // same address share one push)
+  const coalescer = createCoalescer(sends.map(({ entry }) => entry[1]), transports);
+  const notificationPromises = sends.map(({ recipientId, entry, payload }, index) => 
+    sendToDevice(entry, payload, transports, db, recipientId, coalescer)
+      .then(async result => {
+        const deviceResult = { ...result, recipientId };
+        
+        const outboxStatus = await recordSendOutcome(db, deviceResult, {
+          outboxId: outboxIds && outboxIds[index],
+          attempt: 1,
+          source: 'live',
+          requestId,
+          kind: kind.name,
+          messageId,
+          chatId
+        });
+        
+        return outboxStatus ? { ...deviceResult, outboxStatus } : deviceResult;
+      })
+  );
+  
+  // ✅ OPTIMIZATION: Early response mechanism (150ms threshold)
+  const earlyTimeout = awaitAll ? [] : [new Promise(resolve => 
+    setTimeout(() => resolve({ earlyResponse: true }), config.EARLY_RESPONSE_THRESHOLD)
+  )];
+  
+  const raceResult = await Promise.race([
+    Promise.allSettled(notificationPromises),
+    ...earlyTimeout
+  ]);
+  
+  // ========================================
+  // EARLY RESPONSE TRIGGERED
+  // ========================================
+  
+  if (raceResult.earlyResponse) {
+    const earlyDuration = Date.now() - startTime;
     
-    console.log(`⚡ Starting parallel device sending...`);
+    logger.info('notify.early_response', { durationMs: earlyDuration, devices: sends.length });
     
-    // Send to all devices in parallel
-    const deviceEntries = Object.entries(devicesMap);
-    const notificationPromises = deviceEntries.map(entry => 
-      sendToDevice(entry, notificationPayload, messaging, users, db, recipientFirebaseUid)
-    );
+    // ✅ A+ OPTIMIZATION: Detailed background logging
+    Promise.allSettled(notificationPromises).then(settled => {
+      const results = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+      const finalResult = summarizeResults(recipientStates, results, startTime);
+      
+      recordDelivered(finalResult, { background: true });
+      logDeviceResults(results);
+      
+      if (onSettled) {
+        return onSettled(finalResult);
+      }
+      
+    }).catch(err => {
+      logger.error('notify.background_failed', { err });
+    });
     
-    // ✅ OPTIMIZATION: Early response mechanism (150ms threshold)
-    const earlyTimeout = new Promise(resolve => 
-      setTimeout(() => resolve({ earlyResponse: true }), config.EARLY_RESPONSE_THRESHOLD)
-    );
+    return {
+      success: true,
+      status: 'delivering',
+      devices: sends.length,
+      earlyResponseTime: earlyDuration,
+      message: `Delivering to ${sends.length} device(s) of ${recipients.length} recipient(s) in background`,
+      recipients: recipientStates.map(state => ({
+        recipientId: state.recipientId,
+        status: state.status === 'pending' ? 'delivering' : state.status,
+        devices: state.deviceEntries.length
+      }))
+    };
+  }
+  
+  // ========================================
+  // ALL DEVICES COMPLETED BEFORE THRESHOLD
+  // ========================================
+  
+  const results = raceResult.map((r, index) => 
+    r.status === 'fulfilled'
+      ? r.value
+      : { success: false, deviceName: 'Unknown', model: 'Unknown', recipientId: sends[index].recipientId }
+  );
+  
+  const finalResult = summarizeResults(recipientStates, results, startTime);
+  
+  recordDelivered(finalResult, { background: false });
+  logDeviceResults(results);
+  
+  return finalResult;
+}
+
+/**
+ * ✅ Outbox sweep: retry stale or failed sends with backoff,
+ * dead-lettering entries after OUTBOX_MAX_ATTEMPTS
+ */
+async function sweepOutbox({ limit } = {}) {
+  const startTime = Date.now();
+  const { db, transports } = getClients();
+  
+  const entries = await claimDueEntries(db, limit);
+  getLogger().info('outbox.sweep_started', { due: entries.length });
+  
+  const report = { scanned: entries.length, delivered: 0, failed: 0, dead: 0, entries: [] };
+  
+  // Retried entries of one request share pushes, as they did live
+  const coalescers = new Map();
+  new Set(entries.map(entry => entry.requestId)).forEach(requestId => {
+    const devices = entries.filter(entry => entry.requestId === requestId).map(entry => entry.device);
+    coalescers.set(requestId, createCoalescer(devices, transports));
+  });
+  
+  await Promise.all(entries.map(async entry => {
+    const attempt = (entry.attempts || 0) + 1;
     
-    const raceResult = await Promise.race([
-      Promise.allSettled(notificationPromises),
-      earlyTimeout
-    ]);
+    // Past its priority TTL the push is dropped rather than delivered late
+    const expiresAt = toMillis(entry.payload && entry.payload.expiresAt);
+    const result = expiresAt !== null && expiresAt <= Date.now()
+      ? {
+          deviceId: entry.deviceId,
+          success: false,
+          error: 'Expired before delivery (priority TTL)',
+          errorCode: 'EXPIRED',
+          duration: 0
+        }
+      : await sendToDevice(
+          [entry.deviceId, entry.device],
+          entry.payload,
+          transports,
+          db,
+          entry.recipientId,
+          entry.requestId ? coalescers.get(entry.requestId) : null
+        );
     
-    // ========================================
-    // EARLY RESPONSE TRIGGERED
-    // ========================================
+    const status = await recordSendOutcome(db, { ...result, recipientId: entry.recipientId }, {
+      outboxId: entry.id,
+      attempt,
+      source: 'sweep',
+      requestId: entry.requestId,
+      kind: entry.kind,
+      messageId: entry.messageId,
+      chatId: entry.chatId
+    }) || 'failed';
     
-    if (raceResult.earlyResponse) {
-      const earlyDuration = Date.now() - startTime;
-      
-      console.log(`⚡ Early response sent at ${earlyDuration}ms (background processing continues)`);
-      console.log('='.repeat(60));
+    report[status === 'done' ? 'delivered' : status]++;
+    report.entries.push({
+      id: entry.id,
+      recipientId: entry.recipientId,
+      deviceId: entry.deviceId,
+      attempt,
+      status,
+      transport: result.transport,
+      error: result.success ? undefined : result.error
+    });
+  }));
+  
+  report.duration = Date.now() - startTime;
+  getLogger().info('outbox.sweep_completed', {
+    delivered: report.delivered,
+    failed: report.failed,
+    dead: report.dead,
+    durationMs: report.duration
+  });
+  
+  return report;
+}
+
+/**
+ * ✅ Delivery log lookup (support tooling)
+ */
+async function getDeliveryLog(filters) {
+  const { db } = getClients();
+  return queryDeliveryLog(db, filters);
+}
+
+/**
+ * ✅ Remove stale or unreachable devices from `users` (maintenance)
+ */
+async function pruneDevices(options = {}) {
+  const { db, transports } = getClients();
+  const report = await pruneStaleDevices(db, { ...options, transports });
+  
+  report.removed.forEach(({ reason }) => metrics.devicesPruned.inc({ reason, dry_run: Boolean(options.dryRun) }));
+  getLogger().info(options.dryRun ? 'devices.prune_previewed' : 'devices.pruned', {
+    scanned: report.scanned,
+    usersUpdated: report.usersUpdated,
+    removed: report.removed.length,
+    done: report.done
+  });
+  
+  return report;
+}
+
+/**
+ * ✅ Reset or decrement a user's unread counters after reading a chat
+ */
+async function markRead(userId, options) {
+  const { db } = getClients();
+  return markChatRead(db, userId, options);
+}
+
+/**
+ * ✅ Store a notification for later delivery (sendAt / delaySeconds)
+ */
+async function scheduleLater(eventData) {
+  const { db } = getClients();
+  const kind = getKind(getKindName(eventData));
+  
+  // Reject chat notifications the sender could not send right now
+  if (kind && kind.chat && config.AUTHORIZE_CHAT_MEMBERS) {
+    const { recipients, participants } = await resolveRecipients(db, eventData);
+    await authorizeChatMembers(db, { chatId: eventData.chatId, senderId: eventData.senderId, recipients, participants });
+  }
+  
+  return scheduleNotification(db, eventData, getRequestId());
+}
+
+async function cancelLater(scheduleId) {
+  const { db } = getClients();
+  return cancelScheduled(db, scheduleId);
+}
+
+async function rescheduleLater(scheduleId, timing) {
+  const { db } = getClients();
+  return rescheduleNotification(db, scheduleId, timing);
+}
+
+/**
+ * ✅ Deliver due scheduled notifications through the regular pipeline.
+ * The condition (if any) narrows the recipients right before delivery.
+ */
+async function processScheduled({ limit } = {}) {
+  const startTime = Date.now();
+  const { db } = getClients();
+  
+  const entries = await claimDueScheduled(db, limit);
+  getLogger().info('scheduled.claimed', { due: entries.length });
+  
+  const report = { scanned: entries.length, sent: 0, skipped: 0, retrying: 0, failed: 0, entries: [] };
+  
+  // Each entry logs with its scheduleId (same correlation ID)
+  await Promise.all(entries.map(entry => runWithLogger(getLogger().child({ scheduleId: entry.id }), async () => {
+    const logger = getLogger();
+    let outcome;
+    
+    try {
+      let event = entry.event;
       
-      // ✅ A+ OPTIMIZATION: Detailed background logging
-      Promise.allSettled(notificationPromises).then(results => {
-        const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-        const failed = results.filter(r => r.status === 'fulfilled' && !r.value.success).length;
-        const autoCleanedCount = results.filter(r => 
-          r.status === 'fulfilled' && r.value.autoCleanup
-        ).length;
-        const backgroundDuration = Date.now() - startTime;
+      if (entry.condition) {
+        const kind = getKind(getKindName(event));
+        const { recipients } = await resolveRecipients(db, event, { fromChat: Boolean(kind && kind.chat) });
+        const remaining = await filterByCondition(db, entry.condition, recipients);
         
-        console.log('\n' + '='.repeat(60));
-        console.log(`✅ BACKGROUND PROCESSING COMPLETE`);
-        console.log(`📊 Results: ${successful}/${deviceEntries.length} delivered, ${failed} failed`);
-        if (autoCleanedCount > 0) {
-          console.log(`🧹 Auto-cleanup: ${autoCleanedCount} invalid devices removed`);
+        if (remaining.length === 0) {
+          logger.info('scheduled.skipped', { condition: entry.condition.type });
+          outcome = { status: 'skipped', result: { reason: `${entry.condition.type} condition not met` } };
+        } else {
+          event = { ...event, recipientIds: remaining };
         }
-        console.log(`⏱️  Total duration: ${backgroundDuration}ms`);
-        console.log('='.repeat(60));
-        
-        // ✅ Log each device result
-        console.log(`\n📱 Per-Device Results:`);
-        results.forEach((result, index) => {
-          if (result.status === 'fulfilled') {
-            const r = result.value;
-            const status = r.success ? '✅' : '❌';
-            const cleanup = r.autoCleanup ? ' [AUTO-CLEANED]' : '';
-            console.log(`   ${status} Device ${index + 1}: ${r.deviceName} (${r.model || 'N/A'}) - ${r.duration}ms${cleanup}`);
-            if (!r.success && !r.autoCleanup) {
-              console.log(`      Error: ${r.error}`);
-            }
-          }
+      }
+      
+      if (!outcome) {
+        // Keyed on the schedule, so a run that re-leases an entry whose
+        // earlier run already sent it gets a duplicate instead of a second push
+        const result = await handleNotification(event, {
+          ledgerKey: `scheduled_${entry.id}`,
+          reminder: Boolean(entry.condition)
         });
         
-        // ✅ Performance metrics
-        const avgDuration = (backgroundDuration / deviceEntries.length).toFixed(0);
-        const totalApiTime = results.reduce((sum, r) => 
-          r.status === 'fulfilled' ? sum + (r.value.duration || 0) : sum, 0
-        );
-        
-        console.log(`\n📊 Performance Metrics:`);
-        console.log(`   ⚡ Average per device: ${avgDuration}ms`);
-        console.log(`   🔧 Total API time: ${totalApiTime}ms`);
-        console.log(`   🚀 Parallelization efficiency: ${((totalApiTime / backgroundDuration) * 100).toFixed(0)}%`);
-        console.log('='.repeat(60) + '\n');
-        
-      }).catch(err => {
-        console.error('❌ Background processing error:', err);
-      });
-      
-      return {
-        success: true,
-        status: 'delivering',
-        devices: deviceEntries.length,
-        earlyResponseTime: earlyDuration,
-        message: `Delivering to ${deviceEntries.length} device(s) in background`
-      };
+        outcome = {
+          status: 'sent',
+          result: {
+            status: result.status,
+            devices: result.devices || 0,
+            successful: result.successful,
+            failed: result.failed
+          }
+        };
+      }
+    } catch (err) {
+      logger.warn('scheduled.failed', { attempt: entry.attempts, err });
+      outcome = { error: err };
     }
     
-    // ========================================
-    // ALL DEVICES COMPLETED BEFORE THRESHOLD
-    // ========================================
+    const status = await settleScheduled(db, entry, outcome);
     
-    const results = raceResult.map(r => 
-      r.status === 'fulfilled' ? r.value : { success: false, deviceName: 'Unknown', model: 'Unknown' }
+    report[status === 'scheduled' ? 'retrying' : status]++;
+    report.entries.push({
+      id: entry.id,
+      attempt: entry.attempts,
+      status,
+      ...(outcome.result && { result: outcome.result }),
+      ...(outcome.error && { error: outcome.error.message })
+    });
+  })));
+  
+  report.duration = Date.now() - startTime;
+  getLogger().info('scheduled.completed', {
+    sent: report.sent,
+    skipped: report.skipped,
+    retrying: report.retrying,
+    failed: report.failed,
+    durationMs: report.duration
+  });
+  
+  return report;
+}
+
+/**
+ * Public view of a broadcast document
+ */
+function describeBroadcast(entry) {
+  return {
+    broadcastId: entry.id,
+    status: entry.status,
+    mode: entry.mode,
+    target: entry.target,
+    pages: entry.pages,
+    totals: entry.totals,
+    ...(entry.messageId && { messageId: entry.messageId }),
+    ...(entry.lastError && { lastError: entry.lastError }),
+    createdAt: new Date(toMillis(entry.createdAt)).toISOString(),
+    updatedAt: new Date(toMillis(entry.updatedAt)).toISOString()
+  };
+}
+
+/**
+ * Topic broadcast: a single Appwrite push to every topic subscriber, in the
+ * event's `locale` (or the default one). The Appwrite message ID is derived
+ * from the broadcast ID, so a resumed run cannot push twice.
+ */
+async function sendTopicBroadcast(clients, entry) {
+  const kind = getKind(getKindName(entry.event));
+  const payload = buildPayload(kind, entry.event, {
+    senderName: null,
+    locale: resolveLocale(entry.event),
+    timeZone: config.DEFAULT_TIMEZONE,
+    timestamp: new Date().toISOString()
+  });
+  
+  const messageId = getTopicMessageId(entry.id);
+  const transport = new AppwriteTransport(clients.messaging);
+  
+  try {
+    await sendThroughLimiters(
+      transport.name,
+      () => transport.sendToTopics(entry.target.topics, payload, messageId),
+      payload.priority
     );
-    
-    const successful = results.filter(r => r.success).length;
-    const failed = results.filter(r => !r.success).length;
-    const autoCleanedCount = results.filter(r => r.autoCleanup).length;
-    const totalDuration = Date.now() - startTime;
-    
-    console.log('\n' + '='.repeat(60));
-    console.log(`✅ ALL DEVICES COMPLETED (Fast path!)`);
-    console.log(`📊 Results: ${successful}/${deviceEntries.length} delivered, ${failed} failed`);
-    if (autoCleanedCount > 0) {
-      console.log(`🧹 Auto-cleanup: ${autoCleanedCount} invalid devices removed`);
+    getLogger().info('broadcast.topics_sent', { topics: entry.target.topics, messageId });
+  } catch (err) {
+    // 409: this broadcast's message already exists (sent by an earlier run)
+    if (err.code !== 409) throw err;
+    getLogger().info('broadcast.topics_already_sent', { messageId });
+  }
+  
+  return messageId;
+}
+
+/**
+ * ✅ Run a leased broadcast until it completes or the time budget is used
+ * up. Segment pages go through the regular pipeline (preferences, limiters,
+ * outbox) and are checkpointed one by one.
+ */
+function runBroadcast(broadcastId) {
+  return runWithLogger(getLogger().child({ broadcastId: String(broadcastId) }), () => runLeasedBroadcast(broadcastId));
+}
+
+async function runLeasedBroadcast(broadcastId) {
+  const clients = getClients();
+  const { db } = clients;
+  
+  const entry = await leaseBroadcast(db, broadcastId);
+  
+  if (!entry) {
+    // Finished, or another invocation holds the lease
+    return { ...describeBroadcast(await getBroadcast(db, broadcastId)), leased: false };
+  }
+  
+  let { cursor, pages, totals } = entry;
+  const deadline = Date.now() + config.BROADCAST_TIME_BUDGET_MS;
+  
+  try {
+    if (entry.mode === 'topic') {
+      const messageId = await sendTopicBroadcast(clients, entry);
+      await releaseBroadcast(db, entry.id, { status: 'completed', messageId, pages: 1, lastError: null });
+    } else {
+      let done = false;
+      
+      while (!done && Date.now() < deadline) {
+        const page = await fetchSegmentPage(db, entry.target.segment, cursor);
+        
+        if (page.userIds.length > 0) {
+          // Keyed on the page number: a page re-run after a crash is a duplicate
+          const result = await handleNotification({ ...entry.event, recipientIds: page.userIds }, {
+            ledgerKey: `broadcast_${entry.id}_${pages}`,
+            awaitAll: true
+          });
+          
+          totals = addPageTotals(totals, result);
+          pages++;
+        }
+        
+        cursor = page.cursor;
+        done = page.done;
+        
+        await saveCheckpoint(db, entry.id, { cursor, pages, totals });
+        getLogger().info('broadcast.page_completed', {
+          pages,
+          totalRecipients: totals.recipients,
+          totalDelivered: totals.delivered
+        });
+      }
+      
+      await releaseBroadcast(db, entry.id, done
+        ? { status: 'completed', lastError: null }
+        : { lastError: null });
     }
-    console.log(`⏱️  Duration: ${totalDuration}ms`);
-    console.log('='.repeat(60));
+  } catch (err) {
+    const failures = (entry.failures || 0) + 1;
+    getLogger().error('broadcast.run_failed', { failures, maxFailures: config.BROADCAST_MAX_FAILURES, err });
     
-    // Log each device result
-    console.log(`\n📱 Per-Device Results:`);
-    results.forEach((result, index) => {
-      const status = result.success ? '✅' : '❌';
-      const cleanup = result.autoCleanup ? ' [AUTO-CLEANED]' : '';
-      console.log(`   ${status} Device ${index + 1}: ${result.deviceName} (${result.model || 'N/A'}) - ${result.duration || 0}ms${cleanup}`);
-      if (!result.success && !result.autoCleanup) {
-        console.log(`      Error: ${result.error}`);
-      }
+    await releaseBroadcast(db, entry.id, {
+      failures,
+      lastError: err.message,
+      ...(failures >= config.BROADCAST_MAX_FAILURES && { status: 'failed' })
     });
-    
-    console.log('='.repeat(60) + '\n');
-    
-    return {
-      success: successful > 0,
-      status: 'delivered',
-      successful,
-      failed,
-      autoCleanedCount,
-      totalDuration,
-      devices: deviceEntries.length,
-      deviceResults: results
-    };
-    
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    
-    console.error('\n' + '='.repeat(60));
-    console.error(`❌ ERROR in handleNotification`);
-    console.error(`📬 Request ID: ${requestId}`);
-    console.error(`⏱️  Duration: ${duration}ms`);
-    console.error(`💥 Error: ${error.message}`);
-    console.error(`📚 Stack:`, error.stack);
-    console.error('='.repeat(60) + '\n');
-    
-    throw error;
   }
+  
+  return { ...describeBroadcast(await getBroadcast(db, entry.id)), leased: true };
+}
+
+/**
+ * ✅ Start a broadcast (or resume it when `broadcastId` already exists)
+ */
+async function startBroadcast({ broadcastId, target, event }) {
+  const { db } = getClients();
+  const { mode, target: normalized } = normalizeTarget(target);
+  
+  const broadcast = await createBroadcast(db, { broadcastId, mode, target: normalized, event });
+  getLogger().info(broadcast.created ? 'broadcast.created' : 'broadcast.resumed', { broadcastId: broadcast.id, mode });
+  
+  return { ...(await runBroadcast(broadcast.id)), created: broadcast.created };
+}
+
+/**
+ * ✅ Resume the oldest interrupted broadcast (cron)
+ */
+async function resumeBroadcasts() {
+  const { db } = getClients();
+  const [broadcastId] = await findResumable(db, 1);
+  
+  return broadcastId ? [await runBroadcast(broadcastId)] : [];
+}
+
+async function getBroadcastProgress(broadcastId) {
+  const { db } = getClients();
+  return describeBroadcast(await getBroadcast(db, broadcastId));
 }
 
-module.exports = { handleNotification };
+module.exports = {
+  handleNotification,
+  sweepOutbox,
+  getDeliveryLog,
+  pruneDevices,
+  markRead,
+  scheduleLater,
+  cancelLater,
+  rescheduleLater,
+  processScheduled,
+  startBroadcast,
+  runBroadcast,
+  resumeBroadcasts,
+  getBroadcastProgress
+};
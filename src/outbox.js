@@ -0,0 +1,166 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Durable Delivery Outbox
+ * ========================================
+ *
+ * Every device send is written to Firestore before it goes out, so sends
+ * that were still running when the early response returned are not lost
+ * if the runtime freezes or kills the function afterwards.
+ *
+ *   notificationOutbox/{id} → {
+ *     status: 'pending' | 'done' | 'failed' | 'dead',
+ *     recipientId, deviceId, device, payload,
+ *     attempts, nextAttemptAt, lastError, ...
+ *   }
+ *
+ * `pending` entries become due once they are older than OUTBOX_STALE_MS
+ * (their invocation most likely died); `failed` entries are due after an
+ * exponential backoff. The sweep entrypoint retries due entries and
+ * dead-letters them after OUTBOX_MAX_ATTEMPTS.
+ */
+
+const config = require('./config');
+const { toMillis, toStorable } = require('./utils');
+
+// Firestore batches are limited to 500 writes
+const BATCH_LIMIT = 500;
+
+function outboxCollection(db) {
+  return db.collection(config.OUTBOX_COLLECTION);
+}
+
+/**
+ * Backoff before retry number `attempts + 1`
+ */
+function getRetryDelay(attempts) {
+  return Math.min(
+    config.OUTBOX_RETRY_BASE_DELAY * Math.pow(2, Math.max(attempts - 1, 0)),
+    config.OUTBOX_RETRY_MAX_DELAY
+  );
+}
+
+/**
+ * Failures that will not succeed on retry
+ */
+function isPermanentFailure(result) {
+  return Boolean(result.autoCleanup) ||
+         result.error === 'No Appwrite User ID' ||
+         result.error === 'No supported delivery transport' ||
+         result.errorCode === 'EXPIRED' ||
+         [400, 401, 403, 404].includes(result.errorCode);
+}
+
+/**
+ * Persist pending sends before they go out.
+ * `sends` = [{ recipientId, entry: [deviceId, deviceData], payload }]
+ * Returns the outbox entry ID of every send (same order).
+ */
+async function enqueueSends(db, sends, meta = {}) {
+  const now = Date.now();
+  const refs = sends.map(() => outboxCollection(db).doc());
+
+  for (let start = 0; start < sends.length; start += BATCH_LIMIT) {
+    const batch = db.batch();
+
+    sends.slice(start, start + BATCH_LIMIT).forEach(({ recipientId, entry, payload }, offset) => {
+      const [deviceId, deviceData] = entry;
+
+      batch.set(refs[start + offset], {
+        status: 'pending',
+        requestId: meta.requestId || null,
+        kind: meta.kind || null,
+        messageId: meta.messageId || null,
+        chatId: meta.chatId ? String(meta.chatId) : null,
+        recipientId,
+        deviceId,
+        device: toStorable(deviceData),
+        payload: toStorable(payload),
+        attempts: 0,
+        createdAt: new Date(now),
+        updatedAt: new Date(now),
+        nextAttemptAt: new Date(now + config.OUTBOX_STALE_MS)
+      });
+    });
+
+    await batch.commit();
+  }
+
+  return refs.map(ref => ref.id);
+}
+
+/**
+ * Record the outcome of a send: done, failed (retry later) or dead-lettered
+ */
+async function settleSend(db, id, result, attempt) {
+  const now = Date.now();
+  let update;
+
+  if (result.success) {
+    update = { status: 'done', attempts: attempt, transport: result.transport || null };
+  } else if (isPermanentFailure(result) || attempt >= config.OUTBOX_MAX_ATTEMPTS) {
+    update = { status: 'dead', attempts: attempt, deadAt: new Date(now) };
+  } else {
+    update = {
+      status: 'failed',
+      attempts: attempt,
+      nextAttemptAt: new Date(now + getRetryDelay(attempt))
+    };
+  }
+
+  await outboxCollection(db).doc(id).update({
+    ...update,
+    lastError: result.success ? null : String(result.error || 'Unknown error'),
+    updatedAt: new Date(now)
+  });
+
+  return update.status;
+}
+
+/**
+ * Find due entries and lease them (status → pending, pushed nextAttemptAt)
+ * inside a transaction so concurrent sweeps never retry the same entry.
+ */
+async function claimDueEntries(db, limit = config.OUTBOX_SWEEP_BATCH) {
+  const now = Date.now();
+
+  const snapshot = await outboxCollection(db)
+    .where('status', 'in', ['pending', 'failed'])
+    .where('nextAttemptAt', '<=', new Date(now))
+    .orderBy('nextAttemptAt')
+    .limit(limit)
+    .get();
+
+  const claimed = [];
+
+  for (const doc of snapshot.docs) {
+    const entry = await db.runTransaction(async transaction => {
+      const current = await transaction.get(doc.ref);
+      const data = current.exists ? current.data() : null;
+
+      if (!data || !['pending', 'failed'].includes(data.status) ||
+          toMillis(data.nextAttemptAt) > now) {
+        return null;
+      }
+
+      transaction.update(doc.ref, {
+        status: 'pending',
+        updatedAt: new Date(now),
+        nextAttemptAt: new Date(now + config.OUTBOX_STALE_MS)
+      });
+
+      return { id: doc.id, ...data };
+    });
+
+    if (entry) claimed.push(entry);
+  }
+
+  return claimed;
+}
+
+module.exports = {
+  enqueueSends,
+  settleSend,
+  claimDueEntries,
+  getRetryDelay
+};
@@ -0,0 +1,193 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Per-User Notification Preferences
+ * ========================================
+ *
+ * Preferences live on the recipient's Firestore `users` document:
+ *
+ *   notificationPreferences: {
+ *     doNotDisturb: true | { enabled: true, until: '2025-10-24T08:00:00Z' },
+ *     mutedChats: { chat_abc: null | '2025-10-30T00:00:00Z' },
+ *     quietHours: {
+ *       enabled: true,
+ *       timezone: 'Europe/Rome',
+ *       windows: [{ start: '22:00', end: '07:00', days: [1, 2, 3, 4, 5] }]
+ *     }
+ *   }
+ *
+ * Checked before any device send. Returns a suppression (status + reason)
+ * or null when the notification may be delivered.
+ */
+
+const config = require('./config');
+const { getLogger } = require('./logger');
+const { toMillis } = require('./utils');
+
+// ========================================
+// TIME HELPERS
+// ========================================
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Local weekday (0 = Sunday) and minute-of-day in the given IANA timezone
+ */
+function getLocalTime(now, timezone) {
+  let formatter;
+
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  } catch (err) {
+    getLogger().warn('preferences.invalid_timezone', { timezone, fallback: config.DEFAULT_TIMEZONE });
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: config.DEFAULT_TIMEZONE,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(new Date(now)).map(part => [part.type, part.value])
+  );
+
+  return {
+    day: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// ========================================
+// INDIVIDUAL CHECKS
+// ========================================
+
+function checkDoNotDisturb(dnd, now) {
+  if (!dnd) return null;
+
+  if (dnd === true) {
+    return { status: 'dnd', reason: 'Do not disturb is on' };
+  }
+
+  if (dnd.enabled) {
+    const until = toMillis(dnd.until);
+    if (until === null || until > now) {
+      return { status: 'dnd', reason: 'Do not disturb is on', until: until ? new Date(until).toISOString() : null };
+    }
+  }
+
+  return null;
+}
+
+function checkMutedChat(mutedChats, chatId, now) {
+  if (!mutedChats || !chatId) return null;
+
+  const key = String(chatId);
+
+  // Support both map ({ chatId: expiry }) and array (['chatId']) layouts
+  if (Array.isArray(mutedChats)) {
+    return mutedChats.map(String).includes(key)
+      ? { status: 'muted', reason: `Chat ${key} is muted` }
+      : null;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(mutedChats, key) || mutedChats[key] === false) {
+    return null;
+  }
+
+  const expiry = toMillis(mutedChats[key]);
+  if (expiry === null || expiry > now) {
+    return {
+      status: 'muted',
+      reason: `Chat ${key} is muted`,
+      until: expiry ? new Date(expiry).toISOString() : null
+    };
+  }
+
+  return null;
+}
+
+function checkQuietHours(quietHours, now) {
+  if (!quietHours || quietHours.enabled === false || !Array.isArray(quietHours.windows)) {
+    return null;
+  }
+
+  const timezone = quietHours.timezone || config.DEFAULT_TIMEZONE;
+  const { day, minutes } = getLocalTime(now, timezone);
+  const previousDay = (day + 6) % 7;
+
+  for (const window of quietHours.windows) {
+    const start = parseClock(window.start);
+    const end = parseClock(window.end);
+    if (start === null || end === null || start === end) continue;
+
+    const days = Array.isArray(window.days) && window.days.length > 0 ? window.days : null;
+    const appliesTo = d => !days || days.includes(d);
+
+    // Same-day window (e.g. 13:00-14:00) vs. overnight window (e.g. 22:00-07:00),
+    // where the part after midnight belongs to the day the window started
+    const inWindow = start < end
+      ? minutes >= start && minutes < end && appliesTo(day)
+      : (minutes >= start && appliesTo(day)) || (minutes < end && appliesTo(previousDay));
+
+    if (inWindow) {
+      return {
+        status: 'quiet_hours',
+        reason: `Quiet hours ${window.start}-${window.end} (${timezone})`
+      };
+    }
+  }
+
+  return null;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Decide whether a notification for `chatId` should be suppressed.
+ * Order: do-not-disturb → muted chat → quiet hours.
+ */
+function evaluatePreferences(userData, { chatId, now = Date.now() } = {}) {
+  const preferences = userData && userData[config.PREFERENCES_FIELD];
+  if (!preferences) return null;
+
+  return checkDoNotDisturb(preferences.doNotDisturb, now) ||
+         checkMutedChat(preferences.mutedChats, chatId, now) ||
+         checkQuietHours(preferences.quietHours, now);
+}
+
+/**
+ * Recipient's timezone for rendering dates: `timezone` on the user document,
+ * then the quiet hours timezone, then DEFAULT_TIMEZONE
+ */
+function resolveTimeZone(userData) {
+  const preferences = (userData && userData[config.PREFERENCES_FIELD]) || {};
+  return (userData && userData.timezone) ||
+         (preferences.quietHours && preferences.quietHours.timezone) ||
+         config.DEFAULT_TIMEZONE;
+}
+
+module.exports = {
+  evaluatePreferences,
+  resolveTimeZone
+};
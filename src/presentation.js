@@ -0,0 +1,131 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Type-Aware Presentation Profiles
+ * ========================================
+ *
+ * Each message type gets its own look in the notification shade:
+ * action, icon, sound, color and (for images / videos) a thumbnail.
+ * Non-chat notification kinds (tasks, payments, announcements) have
+ * profiles keyed by kind name.
+ *
+ * Profiles can be overridden without code changes through the
+ * PRESENTATION_PROFILES environment variable (JSON, merged per type):
+ *
+ *   {"audio": {"sound": "voice_note"}, "default": {"color": "#000000"}}
+ *
+ * Unknown message types use the `default` profile.
+ */
+
+const config = require('./config');
+const { MESSAGE_TYPES } = require('./templates');
+const { getLogger } = require('./logger');
+
+const DEFAULT_PROFILES = {
+  default: {
+    action: 'OPEN_CHAT',
+    icon: 'ic_notification',
+    sound: 'default',
+    color: '#1E88E5',
+    thumbnail: false
+  },
+  text: {},
+  image: { icon: 'ic_notification_photo', color: '#43A047', thumbnail: true },
+  video: { icon: 'ic_notification_video', color: '#E53935', thumbnail: true },
+  audio: { icon: 'ic_notification_audio', sound: 'voice_message', color: '#8E24AA' },
+  file: { icon: 'ic_notification_file', color: '#6D4C41' },
+  location: { icon: 'ic_notification_location', color: '#FB8C00' },
+
+  // Notification kinds (see kinds.js)
+  task_assigned: { action: 'OPEN_TASK', icon: 'ic_notification_task', color: '#3949AB' },
+  task_status_changed: { action: 'OPEN_TASK', icon: 'ic_notification_task', color: '#3949AB' },
+  task_due_reminder: { action: 'OPEN_TASK', icon: 'ic_notification_reminder', sound: 'reminder', color: '#F4511E' },
+  payment_event: { action: 'OPEN_PAYMENT', icon: 'ic_notification_payment', color: '#00897B' },
+  system_announcement: { action: 'OPEN_ANNOUNCEMENT', icon: 'ic_notification_announcement', color: '#546E7A', thumbnail: true }
+};
+
+/**
+ * Parse PRESENTATION_PROFILES; a malformed value is reported and ignored
+ */
+function loadOverrides() {
+  if (!config.PRESENTATION_PROFILES) return {};
+
+  try {
+    const overrides = JSON.parse(config.PRESENTATION_PROFILES);
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('expected an object keyed by message type');
+    }
+    return overrides;
+  } catch (err) {
+    getLogger().error('presentation.invalid_profiles', { err });
+    return {};
+  }
+}
+
+const overrides = loadOverrides();
+
+/**
+ * Effective profile for a type: default ← built-in type ← overrides
+ */
+function getProfile(type) {
+  const known = Object.prototype.hasOwnProperty.call(DEFAULT_PROFILES, type) ||
+                Object.prototype.hasOwnProperty.call(overrides, type);
+  const key = known ? type : 'default';
+
+  return {
+    ...DEFAULT_PROFILES.default,
+    ...overrides.default,
+    ...(key !== 'default' && DEFAULT_PROFILES[key]),
+    ...(key !== 'default' && overrides[key])
+  };
+}
+
+/**
+ * Accepted chat message `type` values: built-in types plus custom types
+ * given a profile in PRESENTATION_PROFILES (e.g. "sticker")
+ */
+function getMessageTypes() {
+  const custom = Object.keys(overrides)
+    .filter(type => type !== 'default' && !Object.prototype.hasOwnProperty.call(DEFAULT_PROFILES, type));
+
+  return [...MESSAGE_TYPES, ...custom];
+}
+
+/**
+ * First http(s) thumbnail URL found on the message document
+ */
+function getThumbnailUrl(message) {
+  for (const field of config.THUMBNAIL_FIELDS) {
+    const value = message[field];
+    if (typeof value === 'string' && /^https?:\/\//i.test(value)) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Presentation fields for a message: { action, image, icon, sound, color }.
+ * Empty values are left out so transports fall back to their defaults.
+ */
+function getPresentation(type, message = {}) {
+  const profile = getProfile(type);
+
+  const presentation = {
+    action: profile.action,
+    image: profile.thumbnail ? getThumbnailUrl(message) : undefined,
+    icon: profile.icon,
+    sound: profile.sound,
+    color: profile.color
+  };
+
+  return Object.fromEntries(
+    Object.entries(presentation).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+}
+
+module.exports = {
+  getProfile,
+  getMessageTypes,
+  getPresentation
+};
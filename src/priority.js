@@ -0,0 +1,87 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Priority Lanes
+ * ========================================
+ *
+ * Every notification travels in one lane:
+ *
+ *   critical → incoming calls, security alerts
+ *   high     → chat messages, payments
+ *   normal   → task updates (default)
+ *   bulk     → announcements, broadcasts
+ *
+ * The event's `priority` field wins over its kind's default. The rate and
+ * concurrency limiters serve the lanes by weight (PRIORITY_WEIGHT_*): when
+ * every lane is busy, critical gets 8 slots for each bulk one, and no lane
+ * is ever starved.
+ *
+ * The lane also sets the push's urgency and lifetime: FCM Android
+ * priority, APNs priority and a TTL (PRIORITY_TTL_*_SECONDS) after which
+ * the push is dropped instead of delivered late (by FCM, and by the outbox
+ * sweep for retries).
+ */
+
+const config = require('./config');
+
+const DEFAULT_PRIORITY = 'normal';
+
+// Highest first
+const LANES = {
+  critical: {
+    weight: config.PRIORITY_WEIGHT_CRITICAL,
+    ttlSeconds: config.PRIORITY_TTL_CRITICAL_SECONDS,
+    android: 'high',
+    apns: '10'
+  },
+  high: {
+    weight: config.PRIORITY_WEIGHT_HIGH,
+    ttlSeconds: config.PRIORITY_TTL_HIGH_SECONDS,
+    android: 'high',
+    apns: '10'
+  },
+  normal: {
+    weight: config.PRIORITY_WEIGHT_NORMAL,
+    ttlSeconds: config.PRIORITY_TTL_NORMAL_SECONDS,
+    android: 'normal',
+    apns: '5'
+  },
+  bulk: {
+    weight: config.PRIORITY_WEIGHT_BULK,
+    ttlSeconds: config.PRIORITY_TTL_BULK_SECONDS,
+    android: 'normal',
+    apns: '5'
+  }
+};
+
+const PRIORITIES = Object.keys(LANES);
+
+/**
+ * Lane settings of a priority (unknown priorities travel as normal)
+ */
+function getLane(priority) {
+  return LANES[priority] || LANES[DEFAULT_PRIORITY];
+}
+
+/**
+ * Priority of an event: its own `priority`, else its kind's default
+ */
+function resolvePriority(kind, event) {
+  const priority = event.priority || (kind && kind.priority) || DEFAULT_PRIORITY;
+  return LANES[priority] ? priority : DEFAULT_PRIORITY;
+}
+
+/**
+ * Expiry (ISO date) of a push of `priority` built at `now`
+ */
+function getExpiresAt(priority, now = Date.now()) {
+  return new Date(now + getLane(priority).ttlSeconds * 1000).toISOString();
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_PRIORITY,
+  getLane,
+  resolvePriority,
+  getExpiresAt
+};
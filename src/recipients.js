@@ -0,0 +1,123 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Recipient Resolution (Group Chat Fan-Out)
+ * ========================================
+ *
+ * Turns an incoming event into the list of Firebase UIDs to notify:
+ * an explicit `recipientIds` list, a single `recipientId`, or the
+ * participant list stored on the chat document in Firestore.
+ * The sender is always excluded.
+ *
+ * For chat notifications, authorizeChatMembers() then checks that the
+ * sender and every recipient belong to the chat.
+ */
+
+const config = require('./config');
+const { ValidationError, NotFoundError, ForbiddenError } = require('./errors');
+
+/**
+ * Read the participant list of a chat from Firestore.
+ * Returns null when the chat document does not exist.
+ */
+async function getChatParticipants(db, chatId) {
+  const chatDoc = await db.collection(config.CHATS_COLLECTION).doc(String(chatId)).get();
+
+  if (!chatDoc.exists) {
+    return null;
+  }
+
+  const participants = chatDoc.data()[config.CHAT_PARTICIPANTS_FIELD];
+
+  // Support both array (['uid1', 'uid2']) and map ({ uid1: true }) layouts
+  if (Array.isArray(participants)) {
+    return participants;
+  }
+
+  if (participants && typeof participants === 'object') {
+    return Object.keys(participants).filter(uid => participants[uid]);
+  }
+
+  return [];
+}
+
+/**
+ * Resolve the recipients of an event.
+ *
+ * Priority: `recipientIds` → `recipientId` → chat participants (only when
+ * `fromChat` is set, i.e. for chat notification kinds).
+ * Returns a de-duplicated list without the sender.
+ */
+async function resolveRecipients(db, eventData, { fromChat = true } = {}) {
+  const { recipientIds, recipientId, senderId, chatId } = eventData;
+
+  let candidates;
+  let source;
+  const resolved = {};
+
+  if (Array.isArray(recipientIds) && recipientIds.length > 0) {
+    candidates = recipientIds;
+    source = 'recipientIds';
+  } else if (recipientId) {
+    candidates = [recipientId];
+    source = 'recipientId';
+  } else if (!fromChat) {
+    throw new ValidationError('Missing required field: recipientId or recipientIds');
+  } else {
+    const participants = await getChatParticipants(db, chatId);
+
+    if (participants === null) {
+      throw new NotFoundError('CHAT_NOT_FOUND', `Chat ${chatId} not found in Firestore`);
+    }
+
+    candidates = participants;
+    source = 'chat';
+    resolved.participants = participants;
+  }
+
+  // ✅ Never notify the sender of their own message
+  const recipients = [...new Set(candidates.filter(Boolean).map(String))]
+    .filter(uid => uid !== String(senderId || ''));
+
+  if (recipients.length > config.MAX_RECIPIENTS) {
+    throw new ValidationError(`Too many recipients: ${recipients.length} (max ${config.MAX_RECIPIENTS})`, undefined, 'TOO_MANY_RECIPIENTS');
+  }
+
+  return { ...resolved, recipients, source };
+}
+
+/**
+ * Confirm that the sender and all recipients are participants of the chat.
+ * Reuses `participants` when resolveRecipients() already read them.
+ * Throws INVALID_PAYLOAD without a sender, NOT_CHAT_MEMBER otherwise.
+ */
+async function authorizeChatMembers(db, { chatId, senderId, recipients, participants }) {
+  // An anonymous sender cannot be checked, so it is never let through
+  if (!senderId) {
+    throw new ValidationError('Missing required field: senderId (needed to verify chat membership)');
+  }
+
+  const members = participants || await getChatParticipants(db, chatId);
+
+  if (members === null) {
+    throw new ForbiddenError(`Chat ${chatId} not found - cannot verify membership`);
+  }
+
+  const memberSet = new Set(members.map(String));
+
+  if (!memberSet.has(String(senderId))) {
+    throw new ForbiddenError(`Sender is not a member of chat ${chatId}`, { senderId });
+  }
+
+  const outsiders = recipients.filter(uid => !memberSet.has(String(uid)));
+
+  if (outsiders.length > 0) {
+    throw new ForbiddenError(`${outsiders.length} recipient(s) are not members of chat ${chatId}`, { recipientIds: outsiders });
+  }
+}
+
+module.exports = {
+  getChatParticipants,
+  resolveRecipients,
+  authorizeChatMembers
+};
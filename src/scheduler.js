@@ -0,0 +1,275 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Scheduled & Delayed Notifications
+ * ========================================
+ *
+ * An event with `sendAt` (ISO date) or `delaySeconds` is stored instead of
+ * sent, and delivered through the regular pipeline once it is due:
+ *
+ *   scheduledNotifications/{id} → {
+ *     status: 'scheduled' | 'processing' | 'sent' | 'skipped' | 'cancelled' | 'failed',
+ *     event, sendAt, condition, attempts, result, lastError, ...
+ *   }
+ *
+ * The document ID is returned to the caller to cancel or reschedule.
+ * An optional `condition` is checked right before delivery:
+ *
+ *   { type: 'unread', chatId? }  → only recipients who still have unread
+ *                                   messages in the chat (unread counters)
+ *
+ * Due entries are leased like outbox entries, so concurrent runs never
+ * deliver the same notification twice.
+ */
+
+const config = require('./config');
+const { toMillis, toStorable } = require('./utils');
+const { getUnreadCounters } = require('./badges');
+const { ValidationError, NotFoundError, ConflictError, isClientError } = require('./errors');
+
+const SCHEDULING_FIELDS = ['sendAt', 'delaySeconds', 'condition'];
+
+function scheduleCollection(db) {
+  return db.collection(config.SCHEDULE_COLLECTION);
+}
+
+// ========================================
+// CONDITIONS (checked right before delivery)
+// ========================================
+
+const CONDITIONS = {
+  /**
+   * Recipient still has unread messages in the chat (any chat without chatId).
+   * Unread messages in other chats do not count for a chat condition.
+   */
+  unread: async (db, recipientId, condition) => {
+    const { total, chats } = await getUnreadCounters(db, recipientId);
+    return condition.chatId
+      ? (Number(chats[String(condition.chatId)]) || 0) > 0
+      : total > 0;
+  }
+};
+
+/**
+ * Recipients for whom the condition still holds
+ */
+async function filterByCondition(db, condition, recipients) {
+  const check = CONDITIONS[condition.type];
+  const results = await Promise.all(recipients.map(uid => check(db, uid, condition)));
+  return recipients.filter((uid, index) => results[index]);
+}
+
+// ========================================
+// INPUT
+// ========================================
+
+/**
+ * Whether the event asks for a later delivery
+ */
+function isScheduled(eventData) {
+  return eventData.sendAt !== undefined || eventData.delaySeconds !== undefined;
+}
+
+/**
+ * Delivery time from `sendAt` or `delaySeconds`. Throws INVALID_PAYLOAD when invalid.
+ */
+function resolveSendAt({ sendAt, delaySeconds }, now = Date.now()) {
+  if (sendAt !== undefined && delaySeconds !== undefined) {
+    throw new ValidationError('Use either sendAt or delaySeconds, not both');
+  }
+
+  let time;
+
+  if (delaySeconds !== undefined) {
+    if (!Number.isFinite(delaySeconds) || delaySeconds <= 0) {
+      throw new ValidationError('Invalid field: delaySeconds must be a positive number');
+    }
+    time = now + delaySeconds * 1000;
+  } else {
+    time = toMillis(sendAt);
+    if (time === null) {
+      throw new ValidationError(`Invalid field: sendAt must be an ISO date (got ${sendAt})`);
+    }
+  }
+
+  if (time - now > config.SCHEDULE_MAX_DELAY_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ValidationError(`Invalid field: sendAt is more than ${config.SCHEDULE_MAX_DELAY_DAYS} days ahead`);
+  }
+
+  return new Date(time);
+}
+
+/**
+ * Normalized delivery condition (or null). Throws INVALID_PAYLOAD when invalid.
+ */
+function resolveCondition(eventData) {
+  const { condition } = eventData;
+  if (condition === undefined || condition === null) return null;
+
+  const type = typeof condition === 'string' ? condition : condition.type;
+
+  if (!Object.prototype.hasOwnProperty.call(CONDITIONS, type)) {
+    throw new ValidationError(`Invalid field: condition must be one of ${Object.keys(CONDITIONS).join(', ')}`);
+  }
+
+  if (type === 'unread' && !config.BADGES_ENABLED) {
+    throw new ValidationError('The unread condition needs unread badge counters (BADGES_ENABLED)');
+  }
+
+  const chatId = (condition && condition.chatId) || eventData.chatId || null;
+
+  if (type === 'unread' && chatId && !config.BADGE_PER_CHAT) {
+    throw new ValidationError('The unread condition of a chat needs per-chat unread counters (BADGE_PER_CHAT)');
+  }
+
+  return { type, chatId };
+}
+
+// ========================================
+// SCHEDULE / CANCEL / RESCHEDULE
+// ========================================
+
+/**
+ * Store a notification for later delivery. Returns { id, sendAt, condition }.
+ */
+async function scheduleNotification(db, eventData, requestId) {
+  const sendAt = resolveSendAt(eventData);
+  const condition = resolveCondition(eventData);
+
+  const event = Object.fromEntries(
+    Object.entries(eventData).filter(([key]) => !SCHEDULING_FIELDS.includes(key))
+  );
+
+  const ref = scheduleCollection(db).doc();
+  const now = new Date();
+
+  await ref.set({
+    status: 'scheduled',
+    event: toStorable(event),
+    sendAt,
+    condition,
+    attempts: 0,
+    requestId: requestId || null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  return { id: ref.id, sendAt, condition };
+}
+
+/**
+ * Apply `update` to a still-scheduled entry inside a transaction.
+ * Throws SCHEDULE_NOT_FOUND or SCHEDULE_NOT_PENDING (already processed / cancelled).
+ */
+async function updateScheduled(db, id, update) {
+  const ref = scheduleCollection(db).doc(String(id));
+
+  return db.runTransaction(async transaction => {
+    const snapshot = await transaction.get(ref);
+
+    if (!snapshot.exists) {
+      throw new NotFoundError('SCHEDULE_NOT_FOUND', `Scheduled notification ${id} not found`);
+    }
+
+    const { status } = snapshot.data();
+
+    if (status !== 'scheduled') {
+      throw new ConflictError('SCHEDULE_NOT_PENDING', `Scheduled notification ${id} is ${status}`);
+    }
+
+    transaction.update(ref, { ...update, updatedAt: new Date() });
+
+    return { id: ref.id, ...snapshot.data(), ...update };
+  });
+}
+
+async function cancelScheduled(db, id) {
+  return updateScheduled(db, id, { status: 'cancelled', cancelledAt: new Date() });
+}
+
+async function rescheduleNotification(db, id, timing) {
+  return updateScheduled(db, id, { sendAt: resolveSendAt(timing) });
+}
+
+// ========================================
+// DUE PROCESSING
+// ========================================
+
+/**
+ * Find due entries and lease them (status → processing, sendAt pushed by
+ * SCHEDULE_LEASE_MS) so an entry whose run died becomes due again.
+ */
+async function claimDueScheduled(db, limit = config.SCHEDULE_BATCH) {
+  const now = Date.now();
+
+  const snapshot = await scheduleCollection(db)
+    .where('status', 'in', ['scheduled', 'processing'])
+    .where('sendAt', '<=', new Date(now))
+    .orderBy('sendAt')
+    .limit(limit)
+    .get();
+
+  const claimed = [];
+
+  for (const doc of snapshot.docs) {
+    const entry = await db.runTransaction(async transaction => {
+      const current = await transaction.get(doc.ref);
+      const data = current.exists ? current.data() : null;
+
+      if (!data || !['scheduled', 'processing'].includes(data.status) ||
+          toMillis(data.sendAt) > now) {
+        return null;
+      }
+
+      transaction.update(doc.ref, {
+        status: 'processing',
+        attempts: (data.attempts || 0) + 1,
+        updatedAt: new Date(now),
+        sendAt: new Date(now + config.SCHEDULE_LEASE_MS)
+      });
+
+      return { id: doc.id, ...data, attempts: (data.attempts || 0) + 1 };
+    });
+
+    if (entry) claimed.push(entry);
+  }
+
+  return claimed;
+}
+
+/**
+ * Record the outcome of a due entry: sent, skipped (condition no longer
+ * holds) or an error - retried until SCHEDULE_MAX_ATTEMPTS, then failed
+ * (right away for client errors such as a sender outside the chat).
+ */
+async function settleScheduled(db, entry, { status, result, error }) {
+  const now = Date.now();
+  let update;
+
+  if (error) {
+    // Invalid, forbidden or unknown-recipient events will not succeed on retry
+    const permanent = isClientError(error);
+
+    update = permanent || entry.attempts >= config.SCHEDULE_MAX_ATTEMPTS
+      ? { status: 'failed', lastError: String(error.message || error) }
+      : { status: 'scheduled', lastError: String(error.message || error), sendAt: new Date(now + config.SCHEDULE_LEASE_MS) };
+  } else {
+    update = { status, result: toStorable(result || null), lastError: null, processedAt: new Date(now) };
+  }
+
+  await scheduleCollection(db).doc(entry.id).update({ ...update, updatedAt: new Date(now) });
+
+  return update.status;
+}
+
+module.exports = {
+  isScheduled,
+  resolveSendAt,
+  resolveCondition,
+  filterByCondition,
+  scheduleNotification,
+  cancelScheduled,
+  rescheduleNotification,
+  claimDueScheduled,
+  settleScheduled
+};
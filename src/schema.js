@@ -0,0 +1,198 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Declarative Payload Schemas
+ * ========================================
+ *
+ * Input is described as a map of field → rule instead of hand-written
+ * checks:
+ *
+ *   { chatId: { type: 'id', required: true }, text: { type: 'string', maxLength: 10000 } }
+ *
+ * Rules:
+ *   type        → 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+ *                 | 'date' (ISO string or epoch ms) | 'id' (see ID_PATTERN)
+ *   required    → must be present and not empty
+ *   maxLength   → strings
+ *   pattern     → strings (`format` names it in the error message)
+ *   enum        → allowed values (or a function returning them)
+ *   min / max   → numbers
+ *   items       → rule for every array element (maxItems caps the length)
+ *   properties  → schema of a nested object
+ *   values      → rule for every value of an object keyed by anything (e.g. locale)
+ *
+ * Unknown fields are ignored (Appwrite event documents carry their own
+ * `$id`, `$createdAt`, ... attributes). validate() returns a list of
+ * { field, message }, empty when the input is valid.
+ */
+
+const config = require('./config');
+const { PRIORITIES } = require('./priority');
+const { TARGETING_POLICIES } = require('./devices');
+
+const VERSION_PATTERN = /^\d+(\.\d+)*$/;
+
+// Firestore / Appwrite document IDs and Firebase UIDs
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]*$/;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  date: value => (typeof value === 'string' || typeof value === 'number') &&
+                 !Number.isNaN(new Date(value).getTime()),
+  id: value => (typeof value === 'string' || Number.isInteger(value)) &&
+               String(value).length <= config.EVENT_ID_MAX_LENGTH &&
+               ID_PATTERN.test(String(value))
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  date: 'an ISO date',
+  id: `an ID (letters, digits, '.', '_', ':', '-', max ${config.EVENT_ID_MAX_LENGTH} characters)`
+};
+
+/**
+ * Errors of a single value against its rule
+ */
+function validateField(field, value, rule) {
+  if (isBlank(value)) {
+    return rule.required ? [{ field, message: `Missing required field: ${field}` }] : [];
+  }
+
+  const invalid = message => [{ field, message: `Invalid field: ${field} ${message}` }];
+
+  if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+    return invalid(`must be ${TYPE_NAMES[rule.type]}`);
+  }
+
+  const allowed = typeof rule.enum === 'function' ? rule.enum() : rule.enum;
+
+  if (allowed && !allowed.includes(value)) {
+    return invalid(`must be one of ${allowed.join(', ')}`);
+  }
+
+  if (rule.maxLength !== undefined && String(value).length > rule.maxLength) {
+    return invalid(`must be at most ${rule.maxLength} characters`);
+  }
+
+  if (rule.pattern && !rule.pattern.test(String(value))) {
+    return invalid(`must be ${rule.format || `in the format ${rule.pattern}`}`);
+  }
+
+  if (rule.min !== undefined && value < rule.min) {
+    return invalid(`must be at least ${rule.min}`);
+  }
+
+  if (rule.max !== undefined && value > rule.max) {
+    return invalid(`must be at most ${rule.max}`);
+  }
+
+  if (rule.type === 'array') {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return invalid(`must have at most ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      return value.flatMap((item, index) => validateField(`${field}[${index}]`, item, { ...rule.items, required: true }));
+    }
+  }
+
+  if (rule.type === 'object') {
+    if (rule.properties) {
+      return validate(value, rule.properties, `${field}.`);
+    }
+    if (rule.values) {
+      return Object.entries(value).flatMap(([key, item]) => validateField(`${field}.${key}`, item, rule.values));
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Validate `data` against a schema: [{ field, message }]
+ */
+function validate(data, schema, prefix = '') {
+  const input = data && typeof data === 'object' ? data : {};
+
+  return Object.entries(schema).flatMap(([field, rule]) =>
+    validateField(`${prefix}${field}`, input[field], rule)
+  );
+}
+
+// ========================================
+// SCHEMAS
+// ========================================
+
+/**
+ * Fields shared by every notification kind (kind-specific fields live in
+ * kinds.js)
+ */
+const EVENT_FIELDS = {
+  kind: { type: 'string', maxLength: 64 },
+  recipientId: { type: 'id' },
+  recipientIds: { type: 'array', items: { type: 'id' } },
+  senderId: { type: 'id' },
+  deviceId: { type: 'id' },
+  eventId: { type: 'id' },
+  locale: { type: 'string', maxLength: 35, pattern: /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/, format: 'a language tag (e.g. it-IT)' },
+  sendAt: { type: 'date' },
+  delaySeconds: { type: 'number' },
+  dryRun: { type: 'boolean' },
+  priority: { type: 'string', enum: PRIORITIES },
+  targeting: {
+    type: 'object',
+    properties: {
+      policy: { type: 'string', enum: TARGETING_POLICIES },
+      activeWithinDays: { type: 'integer', min: 1 },
+      platforms: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 32 } },
+      minAppVersion: { type: 'string', maxLength: 32, pattern: VERSION_PATTERN, format: 'a version number (e.g. 2.3.0)' }
+    }
+  }
+};
+
+/** POST /badges/read */
+const READ_RECEIPT_SCHEMA = {
+  userId: { type: 'id', required: true },
+  chatId: { type: 'id' },
+  count: { type: 'integer', min: 0 }
+};
+
+/** POST /scheduled/cancel, POST /scheduled/reschedule */
+const SCHEDULE_CHANGE_SCHEMA = {
+  scheduleId: { type: 'id', required: true }
+};
+
+/** GET /broadcasts, POST /broadcasts/resume */
+const BROADCAST_REF_SCHEMA = {
+  broadcastId: { type: 'id', required: true }
+};
+
+/** POST /devices/prune */
+const PRUNE_SCHEMA = {
+  dryRun: { type: 'boolean' },
+  staleDays: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: 10000 },
+  cursor: { type: 'id' }
+};
+
+module.exports = {
+  ID_PATTERN,
+  isBlank,
+  validate,
+  EVENT_FIELDS,
+  READ_RECEIPT_SCHEMA,
+  SCHEDULE_CHANGE_SCHEMA,
+  BROADCAST_REF_SCHEMA,
+  PRUNE_SCHEMA
+};
@@ -0,0 +1,177 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Localized Notification Templates
+ * ========================================
+ *
+ * Message catalogs live in src/locales/<locale>.json. Entries are plain
+ * strings with {placeholders}, or plural maps keyed by Intl.PluralRules
+ * categories ({ one, few, many, other, ... }).
+ *
+ * Locale resolution: recipient `locale` → device entry `locale` → DEFAULT_LOCALE.
+ * Region variants fall back to the base language ('it-IT' → 'it').
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// ========================================
+// CATALOGS (loaded once per cold start)
+// ========================================
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+
+const catalogs = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), require(path.join(LOCALES_DIR, file))])
+);
+
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'file', 'location'];
+
+/**
+ * Best supported locale for a requested tag ('pt-BR' → 'pt-BR' | 'pt' | default)
+ */
+function normalizeLocale(locale) {
+  if (!locale) return config.DEFAULT_LOCALE;
+
+  const tag = String(locale).replace('_', '-');
+  if (catalogs[tag]) return tag;
+
+  const language = tag.split('-')[0].toLowerCase();
+  return catalogs[language] ? language : config.DEFAULT_LOCALE;
+}
+
+/**
+ * Locale for a recipient, optionally refined by the device entry
+ */
+function resolveLocale(userData, deviceData) {
+  return normalizeLocale(
+    (userData && userData.locale) ||
+    (deviceData && deviceData.locale)
+  );
+}
+
+// ========================================
+// TRANSLATION
+// ========================================
+
+function interpolate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+/**
+ * Translate `key` for `locale`, falling back to the default catalog.
+ * Plural entries are selected with `params.count`.
+ */
+function translate(key, params = {}, locale = config.DEFAULT_LOCALE) {
+  const resolved = normalizeLocale(locale);
+  const entry = (catalogs[resolved] && catalogs[resolved][key]) ||
+                catalogs[config.DEFAULT_LOCALE][key];
+
+  if (entry === undefined) return key;
+
+  if (typeof entry === 'object') {
+    const category = new Intl.PluralRules(resolved).select(Number(params.count) || 0);
+    return interpolate(entry[category] || entry.other, params);
+  }
+
+  return interpolate(entry, params);
+}
+
+const truncate = (str, maxLength) => {
+  if (!str) return '';
+  return str.length > maxLength ? str.substring(0, maxLength - 3) + '...' : str;
+};
+
+// ========================================
+// MESSAGE FORMATTER (single source of truth)
+// ========================================
+
+/**
+ * Title and body for a chat message of any type.
+ * `count` > 1 renders the collapsed burst title ("Alice: 4 new messages").
+ */
+function formatNotification(type, { text, senderName, count = 1 } = {}, locale = config.DEFAULT_LOCALE) {
+  const kind = MESSAGE_TYPES.includes(type) ? type : 'other';
+  const name = senderName || translate('sender.unknown', {}, locale);
+  const params = { senderName: name, count, type };
+
+  const title = count > 1
+    ? translate('chat.burst.title', params, locale)
+    : translate(`chat.${kind}.title`, params, locale);
+
+  const body = kind === 'text'
+    ? (text || translate('chat.text.empty', params, locale))
+    : translate(`chat.${kind}.body`, params, locale);
+
+  return {
+    title: truncate(title, config.MAX_TITLE_LENGTH),
+    body: truncate(body, config.MAX_TEXT_LENGTH)
+  };
+}
+
+/**
+ * Title and body from the `<key>.title` / `<key>.body` catalog entries
+ * (used by the non-chat notification kinds)
+ */
+function formatTemplate(key, params = {}, locale = config.DEFAULT_LOCALE) {
+  return {
+    title: truncate(translate(`${key}.title`, params, locale), config.MAX_TITLE_LENGTH),
+    body: truncate(translate(`${key}.body`, params, locale), config.MAX_TEXT_LENGTH)
+  };
+}
+
+/**
+ * Caller-provided title and body (announcements), cut to the usual limits
+ */
+function clampNotification({ title, body }) {
+  return {
+    title: truncate(title, config.MAX_TITLE_LENGTH),
+    body: truncate(body, config.MAX_TEXT_LENGTH)
+  };
+}
+
+// ========================================
+// VALUE FORMATTERS (locale-aware)
+// ========================================
+
+/**
+ * "€12.50" / "12,50 €" for an amount in `currency` (ISO 4217)
+ */
+function formatAmount(amount, currency, locale = config.DEFAULT_LOCALE) {
+  try {
+    return new Intl.NumberFormat(normalizeLocale(locale), { style: 'currency', currency }).format(amount);
+  } catch (err) {
+    return `${amount} ${currency}`;
+  }
+}
+
+/**
+ * Short date + time in the recipient's timezone
+ */
+function formatDateTime(value, locale = config.DEFAULT_LOCALE, timeZone = config.DEFAULT_TIMEZONE) {
+  const date = new Date(value);
+  const options = { dateStyle: 'medium', timeStyle: 'short' };
+
+  try {
+    return new Intl.DateTimeFormat(normalizeLocale(locale), { ...options, timeZone }).format(date);
+  } catch (err) {
+    return new Intl.DateTimeFormat(normalizeLocale(locale), { ...options, timeZone: config.DEFAULT_TIMEZONE }).format(date);
+  }
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  formatNotification,
+  formatTemplate,
+  clampNotification,
+  formatAmount,
+  formatDateTime,
+  resolveLocale,
+  translate,
+  supportedLocales: Object.keys(catalogs)
+};
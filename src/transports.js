@@ -0,0 +1,230 @@
+/**
+ * ========================================
+ * TROVATASK v19.0 ULTRA (A+ OPTIMIZED)
+ * Pluggable Delivery Transports
+ * ========================================
+ *
+ * A transport delivers one notification payload to one device entry:
+ *
+ *   name              → identifier reported in device results
+ *   supports(device)  → whether the device entry has what it needs
+ *   getAddresses(devices) → where each device entry's push goes (null when
+ *                       unsupported); entries with equal addresses share
+ *                       one push
+ *   buildRequest(device, payload, address?) → { method, params }: the exact
+ *                       call send() makes (shown as-is by dry runs)
+ *   send(device, payload, address?) → { messageId }
+ *
+ * Implementations:
+ * - appwrite: Appwrite Messaging (createPush to the device's Appwrite
+ *             target, else to its Appwrite user); createPush takes no
+ *             priority or TTL, the lane travels in `data.priority` only
+ * - fcm:      Direct FCM via firebase-admin (device entry `fcmToken`), with
+ *             the lane's Android / APNs priority and remaining TTL
+ *
+ * PRIMARY_TRANSPORT picks the first choice, FALLBACK_TRANSPORT (optional)
+ * delivers the push when the primary one fails or cannot reach the device.
+ */
+
+const sdk = require('node-appwrite');
+const config = require('./config');
+const { getLane } = require('./priority');
+
+// ========================================
+// APPWRITE MESSAGING
+// ========================================
+
+// createPush parameters, in call order
+const PUSH_PARAMS = [
+  'messageId', 'title', 'body', 'topics', 'users', 'targets', 'data', 'action',
+  'image', 'icon', 'sound', 'color', 'tag', 'badge', 'draft', 'scheduledAt'
+];
+
+/**
+ * createPush parameters of a payload, addressed to `topics`, `users` or `targets`
+ */
+function buildPushParams(payload, { messageId = sdk.ID.unique(), topics, users, targets, badge }) {
+  return {
+    messageId,
+    title: payload.title,
+    body: payload.body,
+    topics,
+    users,
+    targets,
+    data: payload.data,
+    action: payload.action,
+    image: payload.image,                  // thumbnail URL
+    icon: payload.icon,
+    sound: payload.sound,
+    color: payload.color,
+    tag: payload.tag,                      // per-chat collapse key
+    badge,                                 // unread total
+    draft: false,
+    scheduledAt: undefined
+  };
+}
+
+class AppwriteTransport {
+  constructor(messaging) {
+    this.name = 'appwrite';
+    this.messaging = messaging;
+  }
+
+  supports(device) {
+    return Boolean(device[config.APPWRITE_TARGET_FIELD] || device.appwriteUserId);
+  }
+
+  /**
+   * A device entry with an Appwrite target ID gets a push to that target
+   * only. Without one, the push goes to its user, which reaches every
+   * target of the user. A target whose user is already pushed to as a
+   * whole folds into that user, so the device is not reached twice.
+   */
+  getAddresses(devices) {
+    const wholeUsers = new Set(devices
+      .filter(device => device.appwriteUserId && !device[config.APPWRITE_TARGET_FIELD])
+      .map(device => device.appwriteUserId));
+
+    return devices.map(device => this.supports(device) ? this.getAddress(device, wholeUsers) : null);
+  }
+
+  getAddress(device, wholeUsers = new Set()) {
+    const targetId = device[config.APPWRITE_TARGET_FIELD];
+
+    return targetId && !wholeUsers.has(device.appwriteUserId)
+      ? { targets: [targetId] }
+      : { users: [device.appwriteUserId] };
+  }
+
+  buildRequest(device, payload, address = this.getAddress(device)) {
+    return {
+      method: 'messaging.createPush',
+      params: buildPushParams(payload, {
+        ...address,
+        badge: payload.badge !== undefined ? String(payload.badge) : undefined
+      })
+    };
+  }
+
+  async send(device, payload, address) {
+    return this.createPush(this.buildRequest(device, payload, address).params);
+  }
+
+  /**
+   * One push to every subscriber of the topics (broadcasts). A fixed
+   * `messageId` makes a repeated send fail with 409 instead of pushing twice.
+   * No badge: it is per user, not per topic.
+   */
+  async sendToTopics(topics, payload, messageId) {
+    return this.createPush(buildPushParams(payload, { messageId, topics }));
+  }
+
+  async createPush(params) {
+    const message = await this.messaging.createPush(...PUSH_PARAMS.map(name => params[name]));
+    return { messageId: message.$id };
+  }
+}
+
+// ========================================
+// DIRECT FCM (firebase-admin)
+// ========================================
+
+class FcmTransport {
+  constructor(fcm) {
+    this.name = 'fcm';
+    this.fcm = fcm;
+  }
+
+  supports(device) {
+    return Boolean(device[config.FCM_TOKEN_FIELD]);
+  }
+
+  // One registration token is one app install
+  getAddresses(devices) {
+    return devices.map(device => this.supports(device) ? { token: device[config.FCM_TOKEN_FIELD] } : null);
+  }
+
+  buildRequest(device, payload) {
+    const lane = getLane(payload.priority);
+    
+    // Remaining lifetime: a retried push keeps its original deadline
+    const expiresAt = payload.expiresAt ? Date.parse(payload.expiresAt) : null;
+    const ttl = expiresAt !== null ? Math.max(0, expiresAt - Date.now()) : undefined;
+    
+    return {
+      method: 'messaging.send',
+      params: {
+        token: device[config.FCM_TOKEN_FIELD],
+        notification: {
+          title: payload.title,
+          body: payload.body,
+          ...(payload.image && { imageUrl: payload.image })
+        },
+        data: payload.data,
+        android: {
+          priority: lane.android,
+          ...(ttl !== undefined && { ttl }),
+          ...(payload.tag && { collapseKey: payload.tag }),
+          notification: {
+            ...(payload.tag && { tag: payload.tag }),
+            ...(payload.icon && { icon: payload.icon }),
+            ...(payload.sound && { sound: payload.sound }),
+            ...(payload.color && { color: payload.color }),
+            ...(payload.action && { clickAction: payload.action }),
+            ...(payload.badge !== undefined && { notificationCount: payload.badge })
+          }
+        },
+        apns: {
+          headers: {
+            'apns-priority': lane.apns,
+            ...(expiresAt !== null && { 'apns-expiration': String(Math.floor(expiresAt / 1000)) })
+          },
+          payload: {
+            aps: {
+              ...(payload.sound && { sound: payload.sound }),
+              ...(payload.badge !== undefined && { badge: payload.badge })
+            }
+          },
+          ...(payload.image && { fcmOptions: { imageUrl: payload.image } })
+        }
+      }
+    };
+  }
+
+  async send(device, payload) {
+    const messageId = await this.fcm.send(this.buildRequest(device, payload).params);
+    return { messageId };
+  }
+}
+
+// ========================================
+// FACTORY
+// ========================================
+
+const TRANSPORTS = {
+  appwrite: clients => new AppwriteTransport(clients.messaging),
+  fcm: clients => new FcmTransport(clients.fcm)
+};
+
+/**
+ * Build the ordered transport chain [primary, fallback?] from config
+ */
+function createTransports(clients) {
+  const names = [config.PRIMARY_TRANSPORT, config.FALLBACK_TRANSPORT]
+    .filter(Boolean)
+    .filter((name, index, all) => all.indexOf(name) === index);
+
+  return names.map(name => {
+    const factory = TRANSPORTS[name];
+    if (!factory) {
+      throw new Error(`Unknown delivery transport: ${name} (expected ${Object.keys(TRANSPORTS).join(' or ')})`);
+    }
+    return factory(clients);
+  });
+}
+
+module.exports = {
+  AppwriteTransport,
+  FcmTransport,
+  createTransports
+};
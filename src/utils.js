@@ -7,37 +7,241 @@
  */
 
 const config = require('./config');
+const { getLogger } = require('./logger');
+const { metrics } = require('./metrics');
+const { MemoryBucketStore } = require('./buckets');
+const { PRIORITIES, DEFAULT_PRIORITY, getLane } = require('./priority');
+
+// ========================================
+// FIFO QUEUE (constant-time push / shift)
+// ========================================
+
+class FifoQueue {
+  constructor() {
+    this.items = [];
+    this.head = 0;
+  }
+  
+  get size() {
+    return this.items.length - this.head;
+  }
+  
+  push(item) {
+    this.items.push(item);
+  }
+  
+  shift() {
+    if (this.head >= this.items.length) return undefined;
+    
+    const item = this.items[this.head];
+    this.items[this.head++] = undefined;
+    
+    // Drop the consumed prefix once it outweighs the live items
+    if (this.head > 1024 && this.head * 2 > this.items.length) {
+      this.items = this.items.slice(this.head);
+      this.head = 0;
+    }
+    return item;
+  }
+}
+
+// ========================================
+// PRIORITY LANE QUEUE (weighted, starvation-free)
+// ========================================
+
+/**
+ * One FIFO queue per priority lane. shift() serves the highest lane that
+ * still has credit in the current round; a round gives each lane its
+ * weight in credits, so lower lanes keep moving while higher ones are busy.
+ */
+class LaneQueue {
+  constructor() {
+    this.lanes = PRIORITIES.map(name => ({ name, weight: getLane(name).weight, queue: new FifoQueue() }));
+    this.byName = new Map(this.lanes.map(lane => [lane.name, lane]));
+    this.resetCredits();
+  }
+  
+  get size() {
+    return this.lanes.reduce((total, lane) => total + lane.queue.size, 0);
+  }
+  
+  resetCredits() {
+    this.lanes.forEach(lane => { lane.credits = lane.weight; });
+  }
+  
+  push(item, priority = DEFAULT_PRIORITY) {
+    (this.byName.get(priority) || this.byName.get(DEFAULT_PRIORITY)).queue.push(item);
+  }
+  
+  shift() {
+    const waiting = this.lanes.filter(lane => lane.queue.size > 0);
+    if (waiting.length === 0) return undefined;
+    
+    // Every waiting lane used its credit: start a new round
+    let lane = waiting.find(candidate => candidate.credits > 0);
+    if (!lane) {
+      this.resetCredits();
+      lane = waiting[0];
+    }
+    
+    lane.credits--;
+    return lane.queue.shift();
+  }
+  
+  /**
+   * Waiting items per lane: { critical, high, normal, bulk }
+   */
+  getDepths() {
+    const depths = {};
+    this.lanes.forEach(lane => { depths[lane.name] = lane.queue.size; });
+    return depths;
+  }
+}
 
 // ========================================
 // RATE LIMITER (Token Bucket Algorithm)
 // ========================================
 
+/**
+ * Token bucket of `currentRate` tokens per interval (burst = one interval
+ * of tokens). Waiters are served by priority lane (LaneQueue), first
+ * come, first served within a lane; acquire() is constant time.
+ *
+ * Tokens come from a bucket store (buckets.js): per instance by default,
+ * or this instance's quota of the project-wide budget (Firestore) through
+ * `getStore`. Each store call takes at most as many tokens as sends are
+ * waiting and hands them out at once, so no tokens are held back. If the
+ * shared store fails, the instance spends `fallbackFraction` of the rate
+ * from its own bucket until the store recovers.
+ */
 class RateLimiter {
-  constructor(maxRequests, interval = 1000) {
+  /**
+   * @param {number} maxRequests - tokens per interval
+   * @param {number} interval - in ms
+   * @param {Object} options
+   * @param {string} options.key - bucket key in the store
+   * @param {Function} options.getStore - store to draw from (default: per instance)
+   * @param {number} options.fallbackFraction - share of the rate spent from
+   *   the local bucket while the store fails (other instances may be
+   *   falling back too)
+   */
+  constructor(maxRequests, interval = 1000, { key = 'default', getStore, fallbackFraction = 1 } = {}) {
     this.maxRequests = maxRequests;
+    this.currentRate = maxRequests;       // ✅ Adaptive: lowered on 429/503
     this.interval = interval;
-    this.requests = [];
+    this.key = key;
+    this.fallbackFraction = fallbackFraction;
+    this.localStore = new MemoryBucketStore();
+    this.getStore = getStore || (() => this.localStore);
+    this.waiters = new LaneQueue();
+    this.draining = false;
+    this.storeFailing = false;
+    this.lastAdjustment = 0;
   }
   
-  async acquire() {
-    const now = Date.now();
-    this.requests = this.requests.filter(time => now - time < this.interval);
+  acquire(priority) {
+    return new Promise(resolve => {
+      this.waiters.push(resolve, priority);
+      this.drain();
+    });
+  }
+  
+  /**
+   * Hand tokens to the waiters in order, taking up to one per waiter from
+   * the store at a time (one drain loop at a time)
+   */
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
     
-    if (this.requests.length < this.maxRequests) {
-      this.requests.push(now);
-      return;
+    try {
+      while (this.waiters.size > 0) {
+        const { granted, waitMs } = await this.take(this.waiters.size);
+        
+        if (granted > 0) {
+          for (let served = 0; served < granted; served++) {
+            this.waiters.shift()();
+          }
+        } else {
+          getLogger().debug('ratelimiter.throttling', { rate: this.currentRate, waiting: this.waiters.size });
+          await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+  
+  async take(count) {
+    const request = {
+      count,
+      ratePerSecond: (this.currentRate * 1000) / this.interval,
+      capacity: this.currentRate
+    };
+    
+    try {
+      const grant = await this.getStore().take(this.key, request);
+      if (this.storeFailing) {
+        this.storeFailing = false;
+        getLogger().info('ratelimiter.store_recovered', { key: this.key });
+      }
+      return grant;
+    } catch (err) {
+      if (!this.storeFailing) {
+        this.storeFailing = true;
+        getLogger().warn('ratelimiter.store_unavailable', { key: this.key, fallbackRate: request.ratePerSecond * this.fallbackFraction, err });
+      }
+      return this.localStore.take(this.key, {
+        count,
+        ratePerSecond: request.ratePerSecond * this.fallbackFraction,
+        capacity: Math.max(1, request.capacity * this.fallbackFraction)
+      });
     }
+  }
+  
+  /**
+   * Upstream returned 429/503: cut the rate (multiplicative decrease),
+   * at most once per interval so a burst of errors counts once
+   */
+  recordThrottle() {
+    const now = Date.now();
+    if (now - this.lastAdjustment < this.interval) return;
+    
+    const previous = this.currentRate;
+    this.currentRate = Math.max(
+      config.THROTTLE_MIN_RATE,
+      Math.floor(this.currentRate * config.THROTTLE_DECREASE_FACTOR)
+    );
+    this.lastAdjustment = now;
     
-    // ✅ Log when throttling occurs
-    if (this.requests.length >= this.maxRequests * 0.9) {
-      console.log('[RateLimiter] Approaching limit - throttling requests...');
+    if (this.currentRate !== previous) {
+      getLogger().warn('ratelimiter.rate_lowered', { from: previous, to: this.currentRate });
     }
+  }
+  
+  /**
+   * Successful response: slowly raise the rate back (additive increase)
+   */
+  recordSuccess() {
+    if (this.currentRate >= this.maxRequests) return;
     
-    const oldestRequest = this.requests[0];
-    const waitTime = this.interval - (now - oldestRequest);
-    await new Promise(resolve => setTimeout(resolve, Math.max(waitTime, 0)));
+    const now = Date.now();
+    if (now - this.lastAdjustment < config.THROTTLE_RECOVERY_INTERVAL) return;
     
-    return this.acquire();
+    this.currentRate = Math.min(this.maxRequests, this.currentRate + config.THROTTLE_INCREASE_STEP);
+    this.lastAdjustment = now;
+  }
+  
+  getState() {
+    return {
+      rateLimit: this.currentRate,
+      maxRateLimit: this.maxRequests,
+      throttled: this.currentRate < this.maxRequests
+    };
+  }
+  
+  getQueueDepth() {
+    return this.waiters.size;
   }
 }
 
@@ -49,44 +253,209 @@ class ConcurrencyLimiter {
   constructor(maxConcurrent) {
     this.maxConcurrent = maxConcurrent;
     this.running = 0;
-    this.queue = [];
+    this.queue = new LaneQueue();
+    this.peakQueued = 0;
   }
   
-  async run(fn) {
-    while (this.running >= this.maxConcurrent) {
-      await new Promise(resolve => this.queue.push(resolve));
+  /**
+   * Run `fn` in a free slot; waiting calls get slots by priority lane
+   */
+  async run(fn, priority) {
+    if (this.running < this.maxConcurrent && this.queue.size === 0) {
+      this.running++;
+    } else {
+      // The finishing call hands its slot over (running stays counted)
+      await new Promise(resolve => {
+        this.queue.push(resolve, priority);
+        this.peakQueued = Math.max(this.peakQueued, this.queue.size);
+      });
     }
     
-    this.running++;
-    
     try {
       return await fn();
     } finally {
-      this.running--;
-      const resolve = this.queue.shift();
-      if (resolve) resolve();
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      } else {
+        this.running--;
+      }
     }
   }
+  
+  getState() {
+    return {
+      running: this.running,
+      queued: this.queue.size,
+      peakQueued: this.peakQueued
+    };
+  }
+}
+
+// ========================================
+// CIRCUIT BREAKER (closed → open → half-open)
+// ========================================
+
+/**
+ * Upstream failures that should count against a breaker: server errors,
+ * rate limiting and network errors (no HTTP status). Client errors such as
+ * 404 (device gone) say nothing about upstream health.
+ */
+function isUpstreamFailure(error) {
+  if (typeof error.code === 'number') {
+    return error.code === 0 || error.code === 429 || error.code >= 500;
+  }
+  
+  return !error.code || [
+    'messaging/internal-error',
+    'messaging/server-unavailable',
+    'messaging/message-rate-exceeded',
+    'messaging/unavailable',
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'ECONNREFUSED'
+  ].includes(error.code);
+}
+
+/**
+ * Upstream is rate limiting or temporarily unavailable (429 / 503)
+ */
+function isThrottleError(error) {
+  return error.code === 429 ||
+         error.code === 503 ||
+         error.code === 'messaging/message-rate-exceeded' ||
+         error.code === 'messaging/server-unavailable';
+}
+
+class CircuitBreaker {
+  constructor(name, {
+    failureThreshold = config.CIRCUIT_FAILURE_THRESHOLD,
+    resetTimeout = config.CIRCUIT_RESET_TIMEOUT,
+    halfOpenMaxCalls = config.CIRCUIT_HALF_OPEN_MAX_CALLS
+  } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+  }
+  
+  async execute(fn) {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        const error = new Error(`Circuit breaker open for ${this.name}`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+      
+      this.state = 'half_open';
+      this.halfOpenCalls = 0;
+      getLogger().info('circuit.half_open', { transport: this.name });
+    }
+    
+    if (this.state === 'half_open') {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        const error = new Error(`Circuit breaker half-open for ${this.name} (trial in progress)`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+      this.halfOpenCalls++;
+    }
+    
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (isUpstreamFailure(error)) {
+        this.onFailure();
+      } else if (this.state === 'half_open') {
+        // Upstream answered: it is healthy even if this request was rejected
+        this.onSuccess();
+      }
+      throw error;
+    }
+  }
+  
+  onSuccess() {
+    if (this.state !== 'closed') {
+      getLogger().info('circuit.closed', { transport: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+  
+  onFailure() {
+    this.failures++;
+    
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      getLogger().warn('circuit.opened', { transport: this.name, failures: this.failures, resetTimeoutMs: this.resetTimeout });
+    }
+  }
+  
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
 }
 
 // ========================================
 // RETRY WITH EXPONENTIAL BACKOFF
 // ========================================
 
+/**
+ * Retry-After (seconds or HTTP date) from the error, in milliseconds
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers || (error.response && error.response.headers) || {};
+  const value = error.retryAfter !== undefined
+    ? error.retryAfter
+    : (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  
+  if (value === undefined || value === null || value === '') return null;
+  
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 async function fastRetry(fn, maxRetries = config.MAX_RETRIES) {
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
       return await fn();
     } catch (error) {
       // ✅ IMPROVEMENT: Check error codes more robustly
-      // Don't retry on permanent errors (404, 400, 401, 403)
-      if (error.code === 404 || error.code === 400 || error.code === 401 || error.code === 403) {
+      // Don't retry on permanent errors (404, 400, 401, 403) or an open circuit
+      if (error.code === 404 || error.code === 400 || error.code === 401 || error.code === 403 ||
+          error.code === 'CIRCUIT_OPEN') {
         throw error;
       }
       
       if (attempt < maxRetries) {
-        const delay = config.INITIAL_RETRY_DELAY * Math.pow(2, attempt);
-        console.log(`[Retry] Attempt ${attempt + 1}/${maxRetries} after ${delay}ms`);
+        // ✅ Honor Retry-After on 429/503, never wait less than the backoff
+        const backoff = config.INITIAL_RETRY_DELAY * Math.pow(2, attempt);
+        const retryAfter = getRetryAfterMs(error);
+        const delay = Math.min(Math.max(backoff, retryAfter || 0), config.MAX_RETRY_DELAY);
+        
+        metrics.retries.inc({ error_code: error.code });
+        getLogger().info('retry.scheduled', {
+          attempt: attempt + 1,
+          maxRetries,
+          delayMs: delay,
+          retryAfter: retryAfter !== null,
+          errorCode: error.code
+        });
         await new Promise(resolve => setTimeout(resolve, delay));
       } else {
         throw error;
@@ -96,50 +465,28 @@ async function fastRetry(fn, maxRetries = config.MAX_RETRIES) {
 }
 
 // ========================================
-// MESSAGE FORMATTER (WITH TEXT TRUNCATION)
+// FIRESTORE VALUE HELPERS
 // ========================================
 
-function formatNotification(type, text, senderName) {
-  // ✅ IMPROVEMENT: Helper function for text truncation
-  const truncate = (str, maxLength) => {
-    if (!str) return '';
-    return str.length > maxLength ? str.substring(0, maxLength - 3) + '...' : str;
-  };
-  
-  let title, body;
-  
-  switch (type) {
-    case 'image':
-      title = truncate(`${senderName} sent a photo`, 50);
-      body = '📷 Image';
-      break;
-    
-    case 'video':
-      title = truncate(`${senderName} sent a video`, 50);
-      body = '🎥 Video';
-      break;
-    
-    case 'audio':
-      title = truncate(`${senderName} sent voice message`, 50);
-      body = '🎤 Audio';
-      break;
-    
-    case 'file':
-      title = truncate(`${senderName} sent a file`, 50);
-      body = '📎 File';
-      break;
-    
-    case 'location':
-      title = truncate(`${senderName} shared location`, 50);
-      body = '📍 Location';
-      break;
-    
-    default:
-      title = truncate(senderName, 50);
-      body = truncate(text, config.MAX_TEXT_LENGTH || 100);
-  }
-  
-  return { title, body };
+/**
+ * Normalize Firestore Timestamp / Date / ISO string / millis to millis.
+ * Returns null for empty or unparseable values.
+ */
+function toMillis(value) {
+  if (value === null || value === undefined || value === true) return null;
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value.toMillis === 'function') return value.toMillis();
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Strip undefined values (rejected by Firestore) and non-JSON types
+ */
+function toStorable(value) {
+  return JSON.parse(JSON.stringify(value));
 }
 
 // ========================================
@@ -148,7 +495,12 @@ function formatNotification(type, text, senderName) {
 
 module.exports = {
   RateLimiter,          // ✅ Fixed: Export as RateLimiter (not ProRateLimiter)
+  FifoQueue,
+  LaneQueue,
   ConcurrencyLimiter,
+  CircuitBreaker,
+  isThrottleError,
   fastRetry,
-  formatNotification
+  toMillis,
+  toStorable
 };
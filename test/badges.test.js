@@ -0,0 +1,20 @@
+/**
+ * Unread badge counters kept as a total only (BADGE_PER_CHAT=false)
+ */
+
+process.env.LOG_LEVEL = 'silent';
+process.env.BADGE_PER_CHAT = 'false';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryFirestore } = require('../src/fakes');
+const { markChatRead } = require('../src/badges');
+
+test('reading a chat takes its count from the total', async () => {
+  const db = new MemoryFirestore({ 'unreadCounters/bob': { total: 7, chats: {} } });
+
+  assert.strictEqual((await markChatRead(db, 'bob', { chatId: 'chat1', count: 0 })).total, 7);
+  assert.strictEqual((await markChatRead(db, 'bob', { chatId: 'chat1', count: 3 })).total, 4);
+  assert.strictEqual((await markChatRead(db, 'bob', { chatId: 'chat1' })).total, 0);
+});
@@ -0,0 +1,118 @@
+/**
+ * Device targeting policies and stale-device pruning
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryClients } = require('../src/fakes');
+const { handleNotification } = require('../src/notification');
+const { createHandler } = require('../src/main');
+const { selectDevices, resolveTargeting, pruneStaleDevices } = require('../src/devices');
+const { AppwriteTransport } = require('../src/transports');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+
+const DEVICES = {
+  phone: { appwriteUserId: 'aw_phone', osVersion: 'Android 14', appVersion: '2.10.0', lastActive: daysAgo(1) },
+  tablet: { appwriteUserId: 'aw_tablet', osVersion: 'Android 13', appVersion: '2.3.1', lastActive: daysAgo(45) },
+  iphone: { appwriteUserId: 'aw_iphone', platform: 'iOS', appVersion: '1.9.0', lastActive: daysAgo(200) }
+};
+
+function deviceIds({ selected }) {
+  return selected.map(([deviceId]) => deviceId);
+}
+
+test('targeting policies pick the devices to notify', () => {
+  const entries = Object.entries(DEVICES);
+  const select = targeting => selectDevices(entries, resolveTargeting({ targeting }));
+
+  assert.deepStrictEqual(deviceIds(select({})), ['phone', 'tablet', 'iphone']);
+  assert.deepStrictEqual(deviceIds(select({ policy: 'latest' })), ['phone']);
+  assert.deepStrictEqual(deviceIds(select({ policy: 'active', activeWithinDays: 30 })), ['phone']);
+  assert.deepStrictEqual(deviceIds(select({ platforms: ['ios'] })), ['iphone']);
+  assert.deepStrictEqual(deviceIds(select({ minAppVersion: '2.4' })), ['phone']);
+
+  assert.deepStrictEqual(select({ policy: 'latest', platforms: ['android'] }).skipped, [
+    { deviceId: 'iphone', reason: 'platform' },
+    { deviceId: 'tablet', reason: 'not_latest' }
+  ]);
+});
+
+test('a notification reaches only the targeted devices', async () => {
+  const clients = createMemoryClients({
+    documents: { 'users/bob': { devices: DEVICES } }
+  });
+
+  const result = await handleNotification({
+    kind: 'task_assigned',
+    recipientId: 'bob',
+    taskId: 't1',
+    taskTitle: 'Review',
+    eventId: 'e1',
+    targeting: { policy: 'active', activeWithinDays: 60 }
+  }, { clients, awaitAll: true });
+
+  assert.deepStrictEqual(clients.messaging.pushes.map(push => push.users[0]).sort(), ['aw_phone', 'aw_tablet']);
+  assert.deepStrictEqual(result.recipients[0].skippedDevices, [{ deviceId: 'iphone', reason: 'inactive' }]);
+});
+
+test('prune removes stale and unreachable devices, dry run first', async () => {
+  const clients = createMemoryClients({
+    documents: {
+      'users/alice': { devices: { old: { appwriteUserId: 'aw_old', lastActive: daysAgo(120) }, fresh: DEVICES.phone } },
+      'users/bob': { devices: { broken: { deviceName: 'No target' }, unknown: { appwriteUserId: 'aw_unknown' } } },
+      'users/carol': { devices: { phone: DEVICES.phone } }
+    }
+  });
+  const handler = createHandler({ clients });
+
+  const invoke = body => new Promise(resolve => handler({
+    req: { method: 'POST', path: '/devices/prune', headers: { 'x-appwrite-trigger': 'event' }, bodyRaw: JSON.stringify(body) },
+    res: {
+      json: (payload, status = 200) => resolve({ status, body: payload }),
+      text: (payload, status = 200) => resolve({ status, body: payload })
+    },
+    log: () => {},
+    error: () => {}
+  }));
+
+  const preview = await invoke({ dryRun: true, limit: 2 });
+  assert.strictEqual(preview.status, 200);
+  assert.strictEqual(preview.body.status, 'preview');
+  assert.strictEqual(preview.body.scanned, 2);
+  assert.strictEqual(preview.body.cursor, 'bob');
+  assert.deepStrictEqual(preview.body.removed.map(entry => [entry.userId, entry.deviceId, entry.reason]), [
+    ['alice', 'old', 'stale'],
+    ['bob', 'broken', 'unreachable']
+  ]);
+  assert.ok(clients.db.documents.get('users/alice').devices.old);
+
+  const pruned = await invoke({});
+  assert.strictEqual(pruned.body.status, 'pruned');
+  assert.strictEqual(pruned.body.done, true);
+  assert.strictEqual(pruned.body.usersUpdated, 2);
+  assert.deepStrictEqual(Object.keys(clients.db.documents.get('users/alice').devices), ['fresh']);
+  assert.deepStrictEqual(Object.keys(clients.db.documents.get('users/bob').devices), ['unknown']);
+
+  const invalid = await invoke({ staleDays: 0 });
+  assert.strictEqual(invalid.status, 400);
+});
+
+test('prune deletes flattened entries and device IDs with dots', async () => {
+  const clients = createMemoryClients({
+    documents: {
+      'users/erin': { 'devices.old': { appwriteUserId: 'aw_old', lastActive: daysAgo(120) }, 'devices.fresh': DEVICES.phone },
+      'users/finn': { devices: { 'tablet.v2': { appwriteUserId: 'aw_tablet', lastActive: daysAgo(120) }, tablet: DEVICES.phone } }
+    }
+  });
+
+  const report = await pruneStaleDevices(clients.db, { transports: [new AppwriteTransport(clients.messaging)] });
+
+  assert.deepStrictEqual(report.removed.map(entry => `${entry.userId}/${entry.deviceId}`), ['erin/old', 'finn/tablet.v2']);
+  assert.deepStrictEqual(Object.keys(clients.db.documents.get('users/erin')), ['devices.fresh']);
+  assert.deepStrictEqual(Object.keys(clients.db.documents.get('users/finn').devices), ['tablet']);
+});
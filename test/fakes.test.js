@@ -0,0 +1,91 @@
+/**
+ * The in-memory Firestore behaves like the real one where the code relies on it
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+
+const { MemoryFirestore, MemoryMessaging } = require('../src/fakes');
+
+const { FieldValue, FieldPath, Timestamp } = admin.firestore;
+
+test('update fails with NOT_FOUND on a missing document', async () => {
+  const db = new MemoryFirestore();
+
+  await assert.rejects(db.doc('users/nobody').update({ name: 'x' }), err => err.code === 5);
+  await assert.rejects(
+    (async () => { await db.doc('users/u1').create({}); await db.doc('users/u1').create({}); })(),
+    err => err.code === 6
+  );
+});
+
+test('update applies dotted paths and field transforms', async () => {
+  const db = new MemoryFirestore({ 'users/u1': { devices: { d1: { model: 'A' }, d2: { model: 'B' } }, count: 1 } });
+
+  await db.doc('users/u1').update({
+    'devices.d1': FieldValue.delete(),
+    count: FieldValue.increment(2),
+    seenAt: new Date(0)
+  });
+
+  const data = (await db.doc('users/u1').get()).data();
+  assert.deepStrictEqual(data.devices, { d2: { model: 'B' } });
+  assert.strictEqual(data.count, 3);
+  assert.ok(data.seenAt instanceof Timestamp);
+});
+
+test('rejects undefined values like Firestore', async () => {
+  const db = new MemoryFirestore();
+  await assert.rejects(db.collection('logs').add({ a: undefined }), /Cannot use "undefined"/);
+});
+
+test('queries filter, order and page by document ID', async () => {
+  const db = new MemoryFirestore({
+    'users/c': { plan: 'pro', age: 30 },
+    'users/a': { plan: 'pro', age: 30 },
+    'users/b': { plan: 'free', age: 40 },
+    'users/d': { plan: 'pro', age: 20 },
+    'users/a/notificationBursts/x': { count: 1 }
+  });
+
+  const query = db.collection('users').where('plan', '==', 'pro').orderBy('age').orderBy(FieldPath.documentId());
+  const first = await query.limit(2).get();
+  assert.deepStrictEqual(first.docs.map(doc => doc.id), ['d', 'a']);
+
+  const last = first.docs[first.docs.length - 1];
+  const next = await query.startAfter(last.get('age'), last.id).limit(2).get();
+  assert.deepStrictEqual(next.docs.map(doc => doc.id), ['c']);
+});
+
+test('transactions are atomic and isolated', async () => {
+  const db = new MemoryFirestore({ 'counters/c': { total: 0 } });
+  const ref = db.doc('counters/c');
+
+  await Promise.all(Array.from({ length: 10 }, () => db.runTransaction(async transaction => {
+    const { total } = (await transaction.get(ref)).data();
+    transaction.set(ref, { total: total + 1 });
+  })));
+
+  assert.strictEqual((await ref.get()).data().total, 10);
+
+  await assert.rejects(db.runTransaction(async transaction => {
+    transaction.set(ref, { total: 100 });
+    transaction.update(db.doc('counters/missing'), { total: 1 });
+  }), err => err.code === 5);
+
+  assert.strictEqual((await ref.get()).data().total, 10);
+});
+
+test('messaging rejects removed users and reused message IDs', async () => {
+  const messaging = new MemoryMessaging();
+  messaging.removeUser('gone');
+
+  await assert.rejects(messaging.createPush('m1', 'T', 'B', undefined, ['gone']), err => err.code === 404);
+  await messaging.createPush('m2', 'T', 'B', ['news']);
+  await assert.rejects(messaging.createPush('m2', 'T', 'B', ['news']), err => err.code === 409);
+
+  messaging.failNext(503);
+  await assert.rejects(messaging.createPush('m3', 'T', 'B', ['news']), err => err.code === 503);
+  assert.strictEqual(messaging.pushes.length, 1);
+});
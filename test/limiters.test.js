@@ -0,0 +1,132 @@
+/**
+ * Token bucket rate limiter (per instance and shared through Firestore),
+ * priority lanes of the limiters
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { RateLimiter, ConcurrencyLimiter, FifoQueue, LaneQueue } = require('../src/utils');
+const { FcmTransport } = require('../src/transports');
+const { FirestoreQuotaStore } = require('../src/buckets');
+const { MemoryFirestore } = require('../src/fakes');
+
+test('fifo queue keeps order across compactions', () => {
+  const queue = new FifoQueue();
+  for (let i = 0; i < 3000; i++) queue.push(i);
+
+  for (let i = 0; i < 2500; i++) assert.strictEqual(queue.shift(), i);
+  queue.push(3000);
+
+  assert.strictEqual(queue.size, 501);
+  assert.strictEqual(queue.shift(), 2500);
+});
+
+test('serves waiters in order at the configured rate', async () => {
+  const limiter = new RateLimiter(10, 100); // 10 tokens per 100ms
+  const start = Date.now();
+  const order = [];
+
+  await Promise.all(Array.from({ length: 25 }, (_, index) =>
+    limiter.acquire().then(() => order.push(index))
+  ));
+
+  // A full bucket (10), then 15 more at 100 tokens/sec
+  const elapsed = Date.now() - start;
+  assert.ok(elapsed >= 130, `took ${elapsed}ms`);
+  assert.deepStrictEqual(order, Array.from({ length: 25 }, (_, index) => index));
+  assert.strictEqual(limiter.getQueueDepth(), 0);
+});
+
+test('instances sharing a Firestore budget stay within the rate together', async () => {
+  const db = new MemoryFirestore();
+  const stores = ['first', 'second'].map(instanceId => new FirestoreQuotaStore(db, { instanceId, sliceMs: 50 }));
+  const request = { count: 5, ratePerSecond: 100, capacity: 100 };
+
+  // Each instance counts the other from its next slice on
+  await Promise.all(stores.map(store => store.take('push', { ...request, count: 0 })));
+  await new Promise(resolve => setTimeout(resolve, 60));
+  await Promise.all(stores.map(store => store.take('push', { ...request, count: 0 })));
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  const start = Date.now();
+  const granted = [0, 0];
+  while (Date.now() - start < 300) {
+    const grants = await Promise.all(stores.map(store => store.take('push', request)));
+    grants.forEach((grant, index) => { granted[index] += grant.granted; });
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  // One bucket of 100 plus 100 tokens per second between them; alone,
+  // each instance would get that much by itself
+  const budget = request.capacity + (request.ratePerSecond * (Date.now() - start)) / 1000;
+  assert.ok(granted[0] + granted[1] <= budget, `granted ${granted} of ${budget}`);
+  assert.ok(granted.every(count => count >= 50), `granted ${granted}`);
+});
+
+test('falls back to a fraction of the rate while the shared store fails', async () => {
+  const store = { take: async () => { throw new Error('unavailable'); } };
+  const limiter = new RateLimiter(20, 1000, { key: 'push', getStore: () => store, fallbackFraction: 0.25 });
+  const start = Date.now();
+
+  // A local bucket of 5 (a quarter of 20), then 5 tokens per second
+  await Promise.all(Array.from({ length: 6 }, () => limiter.acquire()));
+  assert.strictEqual(limiter.storeFailing, true);
+  assert.ok(Date.now() - start >= 150, `took ${Date.now() - start}ms`);
+});
+
+test('lanes serve higher priorities first without starving bulk', () => {
+  const queue = new LaneQueue();
+  for (let i = 0; i < 20; i++) {
+    queue.push(`bulk${i}`, 'bulk');
+    queue.push(`critical${i}`, 'critical');
+  }
+
+  // Weights 8 / 1: eight critical items, then one bulk item, per round
+  const served = Array.from({ length: 18 }, () => queue.shift());
+  assert.deepStrictEqual(served.filter(item => item.startsWith('bulk')), ['bulk0', 'bulk1']);
+  assert.deepStrictEqual(served.slice(0, 9), [
+    'critical0', 'critical1', 'critical2', 'critical3', 'critical4', 'critical5', 'critical6', 'critical7', 'bulk0'
+  ]);
+});
+
+test('a critical send overtakes queued bulk sends', async () => {
+  const limiter = new ConcurrencyLimiter(1);
+  const order = [];
+  let release;
+  const blocker = limiter.run(() => new Promise(resolve => { release = resolve; }));
+
+  const queued = [
+    ...Array.from({ length: 3 }, (_, index) => limiter.run(async () => order.push(`bulk${index}`), 'bulk')),
+    limiter.run(async () => order.push('call'), 'critical')
+  ];
+
+  release();
+  await Promise.all([blocker, ...queued]);
+
+  assert.deepStrictEqual(order, ['call', 'bulk0', 'bulk1', 'bulk2']);
+  assert.strictEqual(limiter.getState().running, 0);
+});
+
+test('priority maps to FCM Android / APNs priority and the remaining TTL', () => {
+  const transport = new FcmTransport({});
+  const expiresAt = new Date(Date.now() + 30000).toISOString();
+  const { params } = transport.buildRequest({ fcmToken: 'token' }, {
+    title: 'Alice',
+    body: 'Incoming call',
+    priority: 'critical',
+    expiresAt,
+    data: { priority: 'critical' }
+  });
+
+  assert.strictEqual(params.android.priority, 'high');
+  assert.ok(params.android.ttl > 29000 && params.android.ttl <= 30000);
+  assert.strictEqual(params.apns.headers['apns-priority'], '10');
+  assert.strictEqual(params.apns.headers['apns-expiration'], String(Math.floor(Date.parse(expiresAt) / 1000)));
+
+  const bulk = transport.buildRequest({ fcmToken: 'token' }, { title: 'News', body: '...', priority: 'bulk' });
+  assert.strictEqual(bulk.params.android.priority, 'normal');
+  assert.strictEqual(bulk.params.android.ttl, undefined);
+});
@@ -0,0 +1,348 @@
+/**
+ * End-to-end delivery against the in-memory clients (no network access)
+ */
+
+process.env.LOG_LEVEL = 'silent';
+process.env.PRESENTATION_PROFILES = JSON.stringify({ sticker: { icon: 'ic_sticker' } });
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../src/config');
+const { createMemoryClients } = require('../src/fakes');
+const { runWithClients } = require('../src/clients');
+const { handleNotification, processScheduled } = require('../src/notification');
+const { createHandler } = require('../src/main');
+const { validateEvent } = require('../src/kinds');
+const { createLedgerStore } = require('../src/dedup');
+const { queryDeliveryLog } = require('../src/delivery-log');
+const { resolveCondition } = require('../src/scheduler');
+const { toMillis } = require('../src/utils');
+
+function chatClients(options = {}) {
+  return createMemoryClients({
+    documents: {
+      'users/alice': { fullName: 'Alice' },
+      'users/bob': {
+        locale: 'it',
+        devices: {
+          phone: { appwriteUserId: 'aw_bob_phone', model: 'Pixel 8' },
+          tablet: { appwriteUserId: 'aw_bob_tablet', model: 'Galaxy Tab' }
+        }
+      },
+      'chats/chat1': { participants: ['alice', 'bob'] }
+    },
+    ...options
+  });
+}
+
+function chatMessage(messageId) {
+  return { chatId: 'chat1', senderId: 'alice', recipientId: 'bob', text: 'Ciao Bob', messageId };
+}
+
+function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (condition()) return resolve();
+      if (Date.now() > deadline) return reject(new Error('Timed out waiting for condition'));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+function invoke(handler, body, { path = '/', headers = { 'x-appwrite-trigger': 'event' } } = {}) {
+  return new Promise(resolve => handler({
+    req: { method: 'POST', path, headers, bodyRaw: JSON.stringify(body) },
+    res: { json: (json, status = 200, responseHeaders) => resolve({ json, status, headers: responseHeaders }) },
+    log: () => {},
+    error: () => {}
+  }));
+}
+
+function dueSchedule(clients, id, fields) {
+  return clients.db.doc(`scheduledNotifications/${id}`).set({
+    status: 'scheduled',
+    event: chatMessage(`${id}_message`),
+    sendAt: new Date(Date.now() - 1000),
+    condition: null,
+    attempts: 0,
+    ...fields
+  });
+}
+
+function documentsIn(db, collection) {
+  return Array.from(db.documents.entries())
+    .filter(([path]) => path.startsWith(`${collection}/`))
+    .map(([, data]) => data);
+}
+
+test('delivers to every device of the recipient', async () => {
+  const clients = chatClients();
+
+  const result = await handleNotification(chatMessage('m1'), { clients });
+
+  assert.strictEqual(result.status, 'delivered');
+  assert.strictEqual(result.successful, 2);
+  assert.deepStrictEqual(
+    clients.messaging.pushes.map(push => push.users[0]).sort(),
+    ['aw_bob_phone', 'aw_bob_tablet']
+  );
+
+  const [push] = clients.messaging.pushes;
+  assert.strictEqual(push.title, 'Alice');
+  assert.strictEqual(push.body, 'Ciao Bob');
+  assert.strictEqual(push.data.locale, 'it');
+  assert.strictEqual(push.badge, '1');
+
+  assert.deepStrictEqual(documentsIn(clients.db, 'notificationOutbox').map(entry => entry.status), ['done', 'done']);
+  assert.deepStrictEqual(documentsIn(clients.db, 'notificationLog').map(entry => entry.outcome), ['delivered', 'delivered']);
+});
+
+test('removes a device whose Appwrite user no longer exists', async () => {
+  const clients = chatClients();
+  clients.messaging.removeUser('aw_bob_tablet');
+
+  const result = await handleNotification(chatMessage('m2'), { clients });
+
+  assert.strictEqual(result.successful, 1);
+  assert.strictEqual(result.autoCleanedCount, 1);
+
+  const bob = (await clients.db.doc('users/bob').get()).data();
+  assert.deepStrictEqual(Object.keys(bob.devices), ['phone']);
+});
+
+test('removes flattened device entries and device IDs with dots', async () => {
+  const clients = chatClients();
+  await clients.db.doc('users/bob').set({
+    locale: 'it',
+    'devices.tab.v2': { appwriteUserId: 'aw_bob_tablet' },
+    'devices.phone': { appwriteUserId: 'aw_bob_phone' }
+  });
+  clients.messaging.removeUser('aw_bob_tablet');
+
+  const result = await handleNotification(chatMessage('m2b'), { clients });
+
+  assert.strictEqual(result.autoCleanedCount, 1);
+  assert.deepStrictEqual(Object.keys(clients.db.documents.get('users/bob')), ['locale', 'devices.phone']);
+});
+
+test('does not send the same message twice', async () => {
+  const clients = chatClients();
+
+  await handleNotification(chatMessage('m3'), { clients });
+  const repeat = await handleNotification(chatMessage('m3'), { clients });
+
+  assert.strictEqual(repeat.status, 'duplicate');
+  assert.strictEqual(clients.messaging.pushes.length, 2);
+});
+
+test('retries a message whose invocation died between claim and complete', async () => {
+  const clients = chatClients();
+  const ledger = createLedgerStore(clients.db);
+  await ledger.claim('m3b', { messageId: 'm3b' });
+  await ledger.claim('m3c', { messageId: 'm3c' });
+
+  // The m3b invocation dies after claiming; Appwrite redelivers two minutes later
+  const crashed = clients.db.documents.get('notificationLedger/m3b');
+  await clients.db.doc('notificationLedger/m3b').update({
+    createdAt: new Date(toMillis(crashed.createdAt) - 120000),
+    expiresAt: new Date(toMillis(crashed.expiresAt) - 120000)
+  });
+
+  const retried = await handleNotification(chatMessage('m3b'), { clients });
+  const inFlight = await handleNotification(chatMessage('m3c'), { clients });
+
+  assert.strictEqual(retried.status, 'delivered');
+  assert.strictEqual(inFlight.status, 'duplicate');
+  assert.strictEqual(clients.messaging.pushes.length, 2);
+
+  const entry = clients.db.documents.get('notificationLedger/m3b');
+  assert.strictEqual(entry.status, 'completed');
+  assert.ok(toMillis(entry.expiresAt) > Date.now() + 23 * 3600 * 1000);
+});
+
+test('answers early and finishes slow sends in the background', async () => {
+  const clients = chatClients({ latencyMs: 400 });
+
+  const result = await handleNotification(chatMessage('m4'), { clients });
+
+  assert.strictEqual(result.status, 'delivering');
+  assert.strictEqual(clients.messaging.pushes.length, 0);
+
+  await waitFor(() => {
+    const ledger = clients.db.documents.get('notificationLedger/m4');
+    return ledger && ledger.status === 'completed' && ledger.result.status === 'delivered';
+  });
+  assert.strictEqual(clients.messaging.pushes.length, 2);
+});
+
+test('dry runs render the pushes without sending or writing', async () => {
+  const clients = chatClients();
+  const before = JSON.stringify(Array.from(clients.db.documents.entries()));
+
+  const result = await handleNotification(chatMessage('m5'), { clients, dryRun: true });
+
+  assert.strictEqual(result.status, 'preview');
+  assert.strictEqual(result.wouldSend, 2);
+  assert.strictEqual(result.recipients[0].devices[0].request.method, 'messaging.createPush');
+  assert.strictEqual(clients.messaging.pushes.length, 0);
+  assert.strictEqual(JSON.stringify(Array.from(clients.db.documents.entries())), before);
+});
+
+test('chat message types are the built-in ones plus custom profiles', async () => {
+  const clients = chatClients();
+
+  assert.deepStrictEqual(validateEvent({ ...chatMessage('m6'), type: 'stikcer' }).errors.map(error => error.field), ['type']);
+  assert.deepStrictEqual(validateEvent({ ...chatMessage('m6'), type: 'sticker' }).errors, []);
+
+  const result = await handleNotification({ ...chatMessage('m6'), type: 'sticker' }, { clients });
+
+  assert.strictEqual(result.status, 'delivered');
+  assert.strictEqual(clients.messaging.pushes[0].icon, 'ic_sticker');
+  assert.strictEqual(clients.messaging.pushes[0].sound, 'default');
+});
+
+test('rejects chat messages without a sender to authorize', async () => {
+  const clients = chatClients();
+  const { senderId, ...anonymous } = chatMessage('m7');
+
+  assert.deepStrictEqual(validateEvent(anonymous).errors.map(error => error.field), ['senderId']);
+  await assert.rejects(handleNotification(anonymous, { clients }), { code: 'INVALID_PAYLOAD' });
+  assert.strictEqual(clients.messaging.pushes.length, 0);
+});
+
+test('unread reminders only count the unread messages of their chat', async () => {
+  const clients = chatClients();
+  await clients.db.doc('unreadCounters/bob').set({ total: 4, chats: { chat1: 0, chat2: 4 } });
+  await dueSchedule(clients, 's1', { condition: { type: 'unread', chatId: 'chat1' } });
+
+  const report = await runWithClients(clients, () => processScheduled());
+
+  assert.strictEqual(report.skipped, 1);
+  assert.strictEqual(clients.messaging.pushes.length, 0);
+
+  // The total alone cannot tell which chat is unread
+  config.BADGE_PER_CHAT = false;
+  try {
+    assert.throws(() => resolveCondition({ ...chatMessage('m8'), condition: 'unread' }), { code: 'INVALID_PAYLOAD' });
+  } finally {
+    config.BADGE_PER_CHAT = true;
+  }
+});
+
+test('a schedule re-leased after its run died is not sent twice', async () => {
+  const clients = chatClients();
+  const dedupEnabled = config.DEDUP_ENABLED;
+  config.DEDUP_ENABLED = false;
+
+  try {
+    await dueSchedule(clients, 's2');
+    await runWithClients(clients, () => processScheduled());
+
+    // The run sent the push but died before settling; its lease then expires
+    await dueSchedule(clients, 's2', { status: 'processing', attempts: 1 });
+    const report = await runWithClients(clients, () => processScheduled());
+
+    assert.strictEqual(report.entries[0].result.status, 'duplicate');
+    assert.strictEqual(clients.messaging.pushes.length, 2);
+  } finally {
+    config.DEDUP_ENABLED = dedupEnabled;
+  }
+});
+
+test('filters the delivery log by ISO dates or epoch milliseconds', async () => {
+  const clients = chatClients();
+  const before = Date.now() - 1;
+  await handleNotification(chatMessage('m9'), { clients });
+
+  const epoch = await queryDeliveryLog(clients.db, { from: String(before), to: String(Date.now() + 1000) });
+  const iso = await queryDeliveryLog(clients.db, { from: new Date(before).toISOString() });
+  const later = await queryDeliveryLog(clients.db, { from: String(Date.now() + 1000) });
+
+  assert.strictEqual(epoch.entries.length, 2);
+  assert.strictEqual(iso.entries.length, 2);
+  assert.strictEqual(later.entries.length, 0);
+  await assert.rejects(queryDeliveryLog(clients.db, { to: 'yesterday' }), { code: 'INVALID_QUERY' });
+});
+
+test('names an unknown sender in the recipient locale', async () => {
+  const clients = chatClients();
+
+  await handleNotification({ kind: 'task_assigned', recipientId: 'bob', taskId: 't1', taskTitle: 'Fix bug', eventId: 'e1' }, { clients });
+
+  assert.strictEqual(clients.messaging.pushes[0].body, 'Qualcuno ti ha assegnato "Fix bug"');
+});
+
+test('pushes each Appwrite target or user once', async () => {
+  const clients = createMemoryClients({
+    documents: {
+      'users/carol': {
+        devices: {
+          phone: { appwriteUserId: 'aw_carol', appwriteTargetId: 'target_phone' },
+          watch: { appwriteUserId: 'aw_carol', appwriteTargetId: 'target_watch' },
+          copy: { appwriteUserId: 'aw_carol', appwriteTargetId: 'target_phone' }
+        }
+      },
+      'users/dave': {
+        devices: {
+          old: { appwriteUserId: 'aw_dave' },
+          reinstalled: { appwriteUserId: 'aw_dave' },
+          tablet: { appwriteUserId: 'aw_dave', appwriteTargetId: 'target_tablet' }
+        }
+      }
+    }
+  });
+  const event = recipientId => ({ kind: 'task_assigned', recipientId, taskId: 't1', taskTitle: 'Review', eventId: `e_${recipientId}` });
+
+  const carol = await handleNotification(event('carol'), { clients, awaitAll: true });
+  assert.deepStrictEqual(clients.messaging.pushes.map(push => [push.users, push.targets]), [
+    [undefined, ['target_phone']],
+    [undefined, ['target_watch']]
+  ]);
+  assert.strictEqual(carol.successful, 3);
+  assert.strictEqual(carol.deviceResults.find(r => r.deviceId === 'copy').coalescedWith, 'phone');
+
+  const preview = await handleNotification(event('dave'), { clients, dryRun: true });
+  assert.strictEqual(preview.wouldSend, 3);
+  assert.strictEqual(preview.pushes, 1);
+
+  // A user-wide push already reaches the tablet's target
+  const dave = await handleNotification(event('dave'), { clients, awaitAll: true });
+  assert.strictEqual(clients.messaging.pushes.length, 3);
+  assert.deepStrictEqual(clients.messaging.pushes[2].users, ['aw_dave']);
+  assert.deepStrictEqual(dave.deviceResults.map(r => r.coalescedWith), [undefined, 'old', 'old']);
+});
+
+test('broadcasts with similar IDs each reach their topic', async () => {
+  const clients = createMemoryClients();
+  const handler = createHandler({ clients });
+  const longPrefix = 'x'.repeat(40);
+
+  for (const broadcastId of ['launch:2025', 'launch_2025', `${longPrefix}_a`, `${longPrefix}_b`]) {
+    const response = await invoke(handler, { broadcastId, target: { topics: ['news'] }, title: 'Hello', body: 'News' }, { path: '/broadcasts' });
+    assert.strictEqual(response.json.status, 'completed');
+  }
+
+  assert.strictEqual(new Set(clients.messaging.pushes.map(push => push.$id)).size, 4);
+});
+
+test('entrypoint runs with injected clients', async () => {
+  const clients = chatClients();
+  const handler = createHandler({ clients });
+
+  const sent = await invoke(handler, chatMessage('m6'));
+  assert.strictEqual(sent.status, 200);
+  assert.strictEqual(sent.json.successful, 2);
+  assert.strictEqual(sent.headers['x-request-id'], sent.json.requestId);
+
+  const invalid = await invoke(handler, { chatId: 'chat 1', recipientId: 'bob' });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.json.error.code, 'INVALID_PAYLOAD');
+
+  const unauthenticated = await invoke(handler, chatMessage('m7'), { headers: {} });
+  assert.strictEqual(unauthenticated.status, 401);
+  assert.strictEqual(unauthenticated.json.error.code, 'UNAUTHENTICATED');
+});